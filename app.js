@@ -1,8 +1,17 @@
 const express = require("express");
+const fs = require("fs");
+const os = require("os");
 const path = require("path");
+const crypto = require("crypto");
+const readline = require("readline");
+const vm = require("vm");
+const { Readable, PassThrough, Transform } = require("stream");
+const { pipeline } = require("stream/promises");
 const multer = require("multer");
-const AdmZip = require("adm-zip");
+const yauzl = require("yauzl");
+const yazl = require("yazl");
 const ExcelJS = require("exceljs");
+const initSqlJs = require("sql.js");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -12,29 +21,204 @@ app.use(express.static(__dirname));
 app.use(express.json());
 
 /* -------------------- Upload -------------------- */
+// Uploads go to disk and are parsed as streams, so big exports never sit in memory whole
+const MAX_UPLOAD_MB = parseInt(process.env.MAX_UPLOAD_MB) || 1024;
+const TEMP_DIR = path.join(os.tmpdir(), "wsapp-chat-to-csv");
+
 const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: { fileSize: 50 * 1024 * 1024 }, // 50MB (increased)
+  dest: path.join(TEMP_DIR, "uploads"),
+  limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024 },
 });
 
-/* -------------------- Temp Storage -------------------- */
-const downloads = new Map();
+/* -------------------- Sessions -------------------- */
+// Every store has the same async get/set/touch/delete/sweep interface.
+// SESSION_STORE=file keeps sessions on disk so they survive restarts.
+const SESSION_TTL_MINUTES = parseInt(process.env.SESSION_TTL_MINUTES) || 30;
+const SESSION_DIR = process.env.SESSION_DIR || path.join(TEMP_DIR, "store");
 
-setInterval(() => {
-  const now = Date.now();
-  for (const [id, item] of downloads.entries()) {
-    if (now - item.createdAt > 30 * 60 * 1000) { // 30 minutes
-      downloads.delete(id);
-    }
+function createMemoryStore() {
+  const items = new Map();
+
+  return {
+    mediaDir: id => path.join(TEMP_DIR, "sessions", id),
+
+    async get(id) {
+      return items.get(id) || null;
+    },
+
+    async set(id, item) {
+      items.set(id, item);
+    },
+
+    async touch() {},
+
+    async delete(id) {
+      const item = items.get(id);
+      items.delete(id);
+      if (item && item.mediaDir) {
+        await fs.promises.rm(item.mediaDir, { recursive: true, force: true });
+      }
+    },
+
+    async sweep(cutoff) {
+      for (const [id, item] of items) {
+        if (item.updatedAt < cutoff) await this.delete(id);
+      }
+    },
+  };
+}
+
+// Session files are NDJSON: the session's fields, then its media as an array
+// (Maps don't survive JSON), then one row per line. Read back a line at a
+// time, a session never has to fit in a single string.
+function* sessionLines(item) {
+  const { rows, media, ...meta } = item;
+  yield `${JSON.stringify(meta)}\n`;
+  yield `${JSON.stringify([...media.values()])}\n`;
+  for (const row of rows) yield `${JSON.stringify(row)}\n`;
+}
+
+async function readSession(stream) {
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  const rows = [];
+  let meta = null;
+  let media = null;
+  let read = 0;
+  for await (const line of lines) {
+    if (read === 0) meta = JSON.parse(line);
+    else if (read === 1) media = JSON.parse(line);
+    else rows.push(JSON.parse(line));
+    read++;
+  }
+  if (read < 2) throw new Error("Session file is incomplete");
+  return { ...meta, rows, media: new Map(media.map(m => [m.key, m])) };
+}
+
+// One folder per session holding session.ndjson and the extracted media. The
+// few most recently used sessions stay parsed in memory.
+function createFileStore(dir, cacheSize = 5) {
+  const cache = new Map();
+  const fileOf = id => path.join(dir, id, "session.ndjson");
+
+  function remember(id, item) {
+    cache.delete(id);
+    cache.set(id, item);
+    if (cache.size > cacheSize) cache.delete(cache.keys().next().value);
+  }
+
+  return {
+    mediaDir: id => path.join(dir, id, "media"),
+
+    async get(id) {
+      if (!/^[a-z0-9]+$/.test(id)) return null;
+      if (cache.has(id)) {
+        const item = cache.get(id);
+        remember(id, item);
+        return item;
+      }
+
+      try {
+        const stat = await fs.promises.stat(fileOf(id));
+        const item = await readSession(fs.createReadStream(fileOf(id)));
+        // Reads only touch() the file, so its mtime is when the session was last used
+        item.updatedAt = Math.max(item.updatedAt || 0, stat.mtimeMs);
+        remember(id, item);
+        return item;
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+
+    async set(id, item) {
+      remember(id, item);
+      await fs.promises.mkdir(path.join(dir, id), { recursive: true });
+      const temp = `${fileOf(id)}.tmp`;
+      await pipeline(Readable.from(inChunks(sessionLines(item))), fs.createWriteStream(temp));
+      await fs.promises.rename(temp, fileOf(id));
+    },
+
+    // The sweep goes by the file's mtime, so reads bump it too
+    async touch(id) {
+      const now = new Date();
+      await fs.promises.utimes(fileOf(id), now, now).catch(() => {});
+    },
+
+    async delete(id) {
+      cache.delete(id);
+      await fs.promises.rm(path.join(dir, id), { recursive: true, force: true });
+    },
+
+    async sweep(cutoff) {
+      const ids = await fs.promises.readdir(dir).catch(() => []);
+      for (const id of ids) {
+        const stat = await fs.promises.stat(fileOf(id)).catch(() => null);
+        if (!stat || stat.mtimeMs < cutoff) await this.delete(id);
+      }
+    },
+  };
+}
+
+const sessions = process.env.SESSION_STORE === "file"
+  ? createFileStore(SESSION_DIR)
+  : createMemoryStore();
+
+function isExpired(item) {
+  return Date.now() - item.updatedAt > SESSION_TTL_MINUTES * 60 * 1000;
+}
+
+// Sessions expire after SESSION_TTL_MINUTES without being used
+async function getSession(id) {
+  const item = await sessions.get(id);
+  if (!item) return null;
+
+  if (isExpired(item)) {
+    await sessions.delete(id);
+    return null;
   }
-}, 10 * 60 * 1000);
+
+  item.updatedAt = Date.now();
+  await sessions.touch(id);
+  return item;
+}
+
+async function saveSession(id, item) {
+  item.updatedAt = Date.now();
+  await sessions.set(id, item);
+}
+
+// Unref'd so that requiring this file (as the tests do) doesn't keep Node running
+setInterval(() => {
+  sessions.sweep(Date.now() - SESSION_TTL_MINUTES * 60 * 1000)
+    .catch(err => console.error("Session sweep error:", err));
+}, 10 * 60 * 1000).unref();
 
 /* -------------------- Helpers -------------------- */
 function escapeCsv(value) {
   return `"${String(value ?? "").replace(/"/g, '""')}"`;
 }
 
-function normalizeDate(dateStr) {
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+}
+
+const DATE_ORDERS = {
+  DMY: "DD/MM/YYYY",
+  MDY: "MM/DD/YYYY",
+  YMD: "YYYY/MM/DD",
+};
+
+// Accepts 12/05/24, 12-05-24, 12.05.24, 2024/05/12 and Korean-style 2024. 5. 12.
+function splitDateParts(dateStr) {
+  const match = String(dateStr || "").match(/^(\d{1,4})[\/\-.]\s?(\d{1,2})[\/\-.]\s?(\d{1,4})\.?$/);
+  return match ? [match[1], match[2], match[3]] : null;
+}
+
+function expandYear(year) {
+  return year.length === 2 ? (parseInt(year) < 50 ? `20${year}` : `19${year}`) : year;
+}
+
+function normalizeDate(dateStr, order = "MDY") {
   if (!dateStr) return "";
   
   // Try to parse various date formats
@@ -43,17 +227,90 @@ function normalizeDate(dateStr) {
     return dateStr;
   }
   
-  // Format: MM/DD/YY or MM/DD/YYYY
-  const match = dateStr.match(/^(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{2,4})$/);
-  if (match) {
-    const [, month, day, year] = match;
-    const fullYear = year.length === 2 ? (parseInt(year) < 50 ? `20${year}` : `19${year}`) : year;
-    return `${fullYear}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  // Format: DD/MM/YY, MM/DD/YY or YYYY/MM/DD depending on the detected order
+  const parts = splitDateParts(dateStr);
+  if (parts) {
+    let year, month, day;
+    if (parts[0].length === 4 || order === "YMD") {
+      [year, month, day] = parts;
+    } else if (order === "DMY") {
+      [day, month, year] = parts;
+    } else {
+      [month, day, year] = parts;
+    }
+    return `${expandYear(year)}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
   }
   
   return dateStr;
 }
 
+// Sum of day distances between consecutive distinct dates. The right
+// interpretation gives a timeline that moves forward in small steps, the
+// wrong one jumps back and forth by months.
+function dateTravel(parts, order) {
+  let travel = 0;
+  let previous = null;
+  for (const p of parts) {
+    const time = Date.parse(normalizeDate(p.join("/"), order));
+    if (isNaN(time)) return Infinity;
+    if (previous !== null) travel += Math.abs(time - previous) / 86400000;
+    previous = time;
+  }
+  return travel;
+}
+
+function detectDateOrder(dates) {
+  const parts = [];
+  for (const date of dates) {
+    const p = splitDateParts(date);
+    if (!p) continue;
+    const last = parts[parts.length - 1];
+    if (!last || last.join("/") !== p.join("/")) parts.push(p);
+  }
+
+  const evidence = { dayFirst: 0, monthFirst: 0 };
+
+  if (!parts.length) {
+    return { order: "MDY", confidence: "low", source: "default", evidence };
+  }
+
+  if (parts.every(p => p[0].length === 4)) {
+    return { order: "YMD", confidence: "high", source: "detected", evidence };
+  }
+
+  // Values above 12 can only be a day
+  for (const [a, b] of parts) {
+    const first = parseInt(a);
+    const second = parseInt(b);
+    if (first > 12 && second <= 12) evidence.dayFirst++;
+    else if (second > 12 && first <= 12) evidence.monthFirst++;
+  }
+
+  if (evidence.dayFirst || evidence.monthFirst) {
+    const order = evidence.dayFirst >= evidence.monthFirst ? "DMY" : "MDY";
+    const conflicting = evidence.dayFirst && evidence.monthFirst;
+    return { order, confidence: conflicting ? "low" : "high", source: "detected", evidence };
+  }
+
+  // No value above 12 anywhere, fall back to how the dates run
+  evidence.travelDMY = dateTravel(parts, "DMY");
+  evidence.travelMDY = dateTravel(parts, "MDY");
+
+  if (evidence.travelDMY === evidence.travelMDY) {
+    return { order: "MDY", confidence: "low", source: "default", evidence };
+  }
+
+  const order = evidence.travelDMY < evidence.travelMDY ? "DMY" : "MDY";
+  const best = Math.min(evidence.travelDMY, evidence.travelMDY);
+  const worst = Math.max(evidence.travelDMY, evidence.travelMDY);
+  return {
+    order,
+    confidence: worst >= best * 2 ? "medium" : "low",
+    source: "detected",
+    evidence,
+  };
+}
+
 function normalizeTime(timeStr) {
   if (!timeStr) return "";
   
@@ -62,17 +319,18 @@ function normalizeTime(timeStr) {
     return timeStr;
   }
   
-  // Parse 12-hour format with AM/PM
-  const match = timeStr.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?$/i);
+  // Parse 12-hour format with a (possibly localized) AM/PM marker before or after the time
+  const period = meridiemOf(timeStr);
+  const match = timeStr.replace(MERIDIEM_RE, "").trim().match(/^(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?$/);
   if (match) {
-    let [, hour, minute, second = "00", period] = match;
+    let [, hour, minute, second = "00"] = match;
     hour = parseInt(hour);
     minute = minute.padStart(2, '0');
     second = second.padStart(2, '0');
     
-    if (period && /pm|p\.m\./i.test(period) && hour !== 12) {
+    if (period === "pm" && hour !== 12) {
       hour += 12;
-    } else if (period && /am|a\.m\./i.test(period) && hour === 12) {
+    } else if (period === "am" && hour === 12) {
       hour = 0;
     }
     
@@ -82,10 +340,199 @@ function normalizeTime(timeStr) {
   return timeStr;
 }
 
+/* -------------------- Timezones -------------------- */
+// Exports carry wall-clock times with no zone, so the user says which zone the
+// phone was in. Fixed offsets ("+05:30", "UTC-3") aren't valid Intl zones and
+// are handled here; everything else goes through Intl.
+const UTC_OFFSET_RE = /^(?:UTC|GMT)?\s*([+-])(\d{1,2})(?::?(\d{2}))?$/i;
+
+function fixedOffsetOf(timeZone) {
+  if (/^(?:UTC|GMT|Z)$/i.test(timeZone)) return 0;
+  const match = timeZone.match(UTC_OFFSET_RE);
+  if (!match) return null;
+  const [, sign, hours, minutes = "0"] = match;
+  if (+hours > 14 || +minutes > 59) return null;
+  return (sign === "-" ? -1 : 1) * (+hours * 60 + +minutes);
+}
+
+const zoneFormatters = new Map();
+function zoneFormatter(timeZone) {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric", month: "2-digit", day: "2-digit",
+      hour: "2-digit", minute: "2-digit", second: "2-digit",
+    }));
+  }
+  return zoneFormatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || !timeZone.trim()) return false;
+  if (fixedOffsetOf(timeZone.trim()) !== null) return true;
+  try {
+    zoneFormatter(timeZone.trim());
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Minutes the zone is ahead of UTC at the given instant
+function timeZoneOffset(timeZone, epochMs) {
+  const fixed = fixedOffsetOf(timeZone);
+  if (fixed !== null) return fixed;
+
+  const parts = {};
+  for (const { type, value } of zoneFormatter(timeZone).formatToParts(new Date(epochMs))) {
+    parts[type] = value;
+  }
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((wall - (epochMs - (epochMs % 1000))) / 60000);
+}
+
+// "YYYY-MM-DD" + "HH:MM[:SS]" read as wall-clock time in a zone -> Unix ms.
+// The second pass picks the right offset for times close to a DST change.
+function zonedTimeToEpoch(date, time, timeZone) {
+  const d = date.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const t = time.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+  if (!d || !t) return null;
+
+  const wall = Date.UTC(+d[1], d[2] - 1, +d[3], +t[1], +t[2], +(t[3] || 0));
+  const check = new Date(wall);
+  if (isNaN(wall) || check.getUTCDate() !== +d[3] || check.getUTCHours() !== +t[1]) return null;
+
+  const guess = wall - timeZoneOffset(timeZone, wall) * 60000;
+  return wall - timeZoneOffset(timeZone, guess) * 60000;
+}
+
+function formatOffset(minutes) {
+  const abs = Math.abs(minutes);
+  const hh = String(Math.floor(abs / 60)).padStart(2, "0");
+  const mm = String(abs % 60).padStart(2, "0");
+  return `${minutes < 0 ? "-" : "+"}${hh}:${mm}`;
+}
+
+// Unix ms -> wall-clock date, time and weekday in a zone
+function zonedParts(epochMs, timeZone) {
+  const offset = timeZoneOffset(timeZone, epochMs);
+  const local = new Date(epochMs + offset * 60000);
+  const iso = local.toISOString();
+  return {
+    date: iso.slice(0, 10),
+    time: iso.slice(11, 19),
+    day: local.getUTCDay(),
+    iso: `${iso.slice(0, 19)}${formatOffset(offset)}`,
+  };
+}
+
+// Upload form fields -> { sourceTimezone, outputTimezone }, or { error }.
+// The output zone defaults to the source so times read as they did on the phone.
+function timezonesOf(body = {}) {
+  const sourceTimezone = (body.sourceTimezone || "").trim() || "UTC";
+  const outputTimezone = (body.outputTimezone || "").trim() || sourceTimezone;
+  for (const zone of [sourceTimezone, outputTimezone]) {
+    if (!isValidTimeZone(zone)) return { error: `Unknown time zone: ${zone}` };
+  }
+  return { sourceTimezone, outputTimezone };
+}
+
+/* -------------------- Line Formats -------------------- */
+// AM/PM markers as they appear in localized exports
+const MERIDIEM_MARKERS = {
+  am: ["am", "a.m.", "a. m.", "vorm.", "午前", "上午", "오전", "π.μ.", "πμ"],
+  pm: ["pm", "p.m.", "p. m.", "nachm.", "午後", "下午", "오후", "μ.μ.", "μμ"],
+};
+
+function markerSource(marker) {
+  return marker.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/ /g, "\\s*");
+}
+
+const MERIDIEM_SOURCE = [...MERIDIEM_MARKERS.am, ...MERIDIEM_MARKERS.pm]
+  .sort((a, b) => b.length - a.length)
+  .map(markerSource)
+  .join("|");
+
+const MERIDIEM_RE = new RegExp(MERIDIEM_SOURCE, "i");
+
+function meridiemOf(timeStr) {
+  const found = timeStr.match(MERIDIEM_RE);
+  if (!found) return null;
+  const marker = found[0].toLowerCase().replace(/\s+/g, " ");
+  if (MERIDIEM_MARKERS.pm.some(m => m.toLowerCase() === marker)) return "pm";
+  return "am";
+}
+
+const DATE_SOURCE = "\\d{1,4}[\\/\\-.]\\s?\\d{1,2}[\\/\\-.]\\s?\\d{1,4}\\.?";
+const TIME_SOURCE =
+  `(?:(?:${MERIDIEM_SOURCE})\\s*)?\\d{1,2}[:.]\\d{2}(?:[:.]\\d{2})?(?:\\s*(?:${MERIDIEM_SOURCE}))?`;
+
+// Message header layouts seen in exports. `{date}` and `{time}` are expanded
+// to the patterns above; add an entry here (or pass `lineFormats` to
+// parseChatStream) to support another layout.
+const LINE_FORMATS = [
+  {
+    id: "bracket-date-time",
+    example: "[19.10.26, 14:03:11] Name: text",
+    pattern: "^\\[({date}),?\\s*({time})\\]\\s*(.*)$",
+    fields: ["date", "time", "rest"],
+  },
+  {
+    id: "bracket-time-date",
+    example: "[2:03:11 PM, 2026-10-19] Name: text",
+    pattern: "^\\[({time}),?\\s*({date})\\]\\s*(.*)$",
+    fields: ["time", "date", "rest"],
+  },
+  {
+    id: "dash-date-time",
+    example: "19.10.26, 14:03 - Name: text",
+    pattern: "^({date}),?\\s*({time})\\s*[-\u2013]\\s*(.*)$",
+    fields: ["date", "time", "rest"],
+  },
+];
+
+function compileLineFormat(format) {
+  const source = format.pattern
+    .replace("{date}", DATE_SOURCE)
+    .replace("{time}", TIME_SOURCE);
+  return { ...format, re: new RegExp(source, "i") };
+}
+
+const COMPILED_LINE_FORMATS = LINE_FORMATS.map(compileLineFormat);
+
+function matchLine(line, format) {
+  const m = line.match(format.re);
+  if (!m) return null;
+  const parts = {};
+  format.fields.forEach((field, i) => {
+    parts[field] = m[i + 1];
+  });
+  return parts;
+}
+
+// Picks the layout that matches the most lines near the top of the file
+function detectLineFormat(lines, formats, sampleSize = 200) {
+  const sample = lines.filter(l => l.trim()).slice(0, sampleSize);
+  let best = null;
+
+  for (const format of formats) {
+    const matched = sample.filter(l => format.re.test(l)).length;
+    if (matched > 0 && (!best || matched > best.matched)) {
+      best = { format, matched };
+    }
+  }
+
+  return best
+    ? { id: best.format.id, format: best.format, matched: best.matched, sampled: sample.length }
+    : null;
+}
+
 function extractMediaReferences(message) {
   const mediaPatterns = [
     /<attached:\s*([^>]+)>/gi,
     /\[([^\]]+\.(jpg|jpeg|png|gif|mp4|avi|mov|pdf|doc|docx|zip|rar))\]/gi,
+    /^(.+?\.\w{2,5})\s*\(file attached\)/gim,
   ];
   
   const media = [];
@@ -99,182 +546,2235 @@ function extractMediaReferences(message) {
   return media;
 }
 
-function enrichRow(row) {
-  const normalizedDate = normalizeDate(row.date);
+// URLs, e-mail addresses, phone numbers and @mentions shared in a message.
+// Each kind is taken out of the text once found, so an e-mail inside a URL or
+// a number inside a mention isn't counted twice.
+const URL_RE = /\b(?:https?:\/\/|www\.)[^\s<>"]+/gi;
+const EMAIL_RE = /[\w.%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi;
+const MENTION_RE = /(^|[^\w@])@(\u2068[^\u2069]+\u2069|[\p{L}\p{N}_.+-]+)/gu;
+// A number running into ":" is a time, as in "2024-05-01 09:00"
+const PHONE_RE = /(?<![\w+])(?:\+|\()?\d[\d\s().-]{5,}\d(?![\w:])/g;
+const DATE_LIKE_RE = /^\d{1,4}[./-]\d{1,2}[./-]\d{1,4}$/;
+
+function trimUrl(url) {
+  let trimmed = url.replace(/[.,;:!?'"\]}>]+$/, "");
+  // Keep a closing parenthesis only when the URL opened one
+  while (trimmed.endsWith(")") && !trimmed.includes("(")) trimmed = trimmed.slice(0, -1);
+  return trimmed;
+}
+
+function domainOf(url) {
+  try {
+    const { hostname } = new URL(/^https?:\/\//i.test(url) ? url : `http://${url}`);
+    return hostname.toLowerCase().replace(/^www\./, "");
+  } catch (e) {
+    return "";
+  }
+}
+
+// International numbers need 7–15 digits. Local ones need at least 10, and
+// either separators or a leading trunk 0, so that amounts and order numbers
+// aren't mistaken for phones. Dates are skipped.
+function isPhoneNumber(match) {
+  const value = match.trim();
+  const digits = value.replace(/\D/g, "").length;
+  if (digits > 15 || DATE_LIKE_RE.test(value)) return false;
+  if (value.startsWith("+")) return digits >= 7;
+  return digits >= 10 && (/[\s().-]/.test(value) || value.startsWith("0"));
+}
+
+function extractLinks(message) {
+  let text = message || "";
+  const take = (re, map) => {
+    const found = [];
+    text = text.replace(re, (...args) => {
+      const value = map(...args);
+      if (value) found.push(value);
+      return " ";
+    });
+    return found;
+  };
+
+  const urls = take(URL_RE, match => trimUrl(match));
+  const emails = take(EMAIL_RE, match => match);
+  const mentions = [];
+  text = text.replace(MENTION_RE, (match, before, name) => {
+    mentions.push(name.replace(/[\u2068\u2069]/g, "").replace(/[.]+$/, ""));
+    return before;
+  });
+  const phones = take(PHONE_RE, match => isPhoneNumber(match) ? match.trim() : null);
+
+  return {
+    urls,
+    domains: [...new Set(urls.map(domainOf).filter(Boolean))],
+    emails,
+    phones,
+    mentions,
+  };
+}
+
+/* -------------------- Media -------------------- */
+const MEDIA_MIME_TYPES = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  gif: "image/gif",
+  webp: "image/webp",
+  heic: "image/heic",
+  mp4: "video/mp4",
+  mov: "video/quicktime",
+  avi: "video/x-msvideo",
+  "3gp": "video/3gpp",
+  opus: "audio/ogg",
+  ogg: "audio/ogg",
+  m4a: "audio/mp4",
+  mp3: "audio/mpeg",
+  aac: "audio/aac",
+  pdf: "application/pdf",
+  doc: "application/msword",
+  docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  xls: "application/vnd.ms-excel",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  txt: "text/plain",
+  vcf: "text/vcard",
+  zip: "application/zip",
+  rar: "application/vnd.rar",
+};
+
+function mimeTypeOf(fileName) {
+  const ext = path.extname(fileName).slice(1).toLowerCase();
+  return MEDIA_MIME_TYPES[ext] || "application/octet-stream";
+}
+
+// Where an attachment goes under media/ in bundled ZIPs: its path in the
+// archive, or under the archive's name when another upload took that path
+function mediaNameOf(entryName, archiveName, taken) {
+  const entryPath = entryName.split("/").filter(part => part && part !== "." && part !== "..").join("/");
+  const folder = archiveName.replace(/\.zip$/i, "");
+  let name = entryPath;
+  for (let n = 1; taken.has(name); n++) {
+    name = `${n > 1 ? `${folder} (${n})` : folder}/${entryPath}`;
+  }
+  taken.add(name);
+  return name;
+}
+
+// Copies an attachment to the session's media folder, hashing it on the way
+async function storeMediaEntry(name, stream, filePath) {
+  const hash = crypto.createHash("sha256");
+  let size = 0;
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await pipeline(
+    stream,
+    new Transform({
+      transform(chunk, encoding, callback) {
+        hash.update(chunk);
+        size += chunk.length;
+        callback(null, chunk);
+      },
+    }),
+    fs.createWriteStream(filePath)
+  );
+
+  return {
+    name,
+    size,
+    mime: mimeTypeOf(name),
+    hash: hash.digest("hex"),
+    path: filePath,
+  };
+}
+
+// Links each row's media references to files found in the archive and
+// returns a warning for every reference without a matching file. A reference
+// is looked up next to its chat first, then by file name alone, preferring
+// the chat's own archive; when that still leaves several files the first is
+// used and the reference is flagged as ambiguous.
+function resolveMediaReferences(rows, mediaIndex) {
+  const warnings = [];
+  const byFileName = new Map();
+  for (const media of mediaIndex.values()) {
+    const fileName = path.posix.basename(media.key);
+    if (!byFileName.has(fileName)) byFileName.set(fileName, []);
+    byFileName.get(fileName).push(media);
+  }
+
+  for (const row of rows) {
+    if (!row.mediaFiles) continue;
+
+    const matched = [];
+    for (const name of row.mediaFiles.split("; ")) {
+      const reference = name.trim();
+      const warning = { file: name, date: row.date, time: row.time, sender: row.sender };
+      let media = mediaIndex.get(path.posix.join(path.posix.dirname(row.sourceFile || ""), reference));
+      if (!media) {
+        const sameName = byFileName.get(path.posix.basename(reference)) || [];
+        const ownArchive = sameName.filter(m => String(row.sourceFile).startsWith(`${m.archive}/`));
+        const candidates = ownArchive.length ? ownArchive : sameName;
+        media = candidates[0];
+        if (candidates.length > 1) warnings.push({ ...warning, ambiguous: true });
+      }
+      if (media) {
+        matched.push(media);
+      } else {
+        warnings.push(warning);
+      }
+    }
+
+    row.mediaPaths = matched.map(m => `media/${m.name}`).join("; ");
+    row.mediaTypes = matched.map(m => m.mime).join("; ");
+    row.mediaSizes = matched.map(m => m.size).join("; ");
+    row.mediaHashes = matched.map(m => m.hash).join("; ");
+  }
+
+  return warnings;
+}
+
+// Session attachments by the path rows link them under, media/<name>
+function mediaByPath(media) {
+  return new Map([...(media ? media.values() : [])].map(m => [`media/${m.name}`, m]));
+}
+
+/* -------------------- Message Types -------------------- */
+// Notices WhatsApp writes itself. `anySender` patterns are unambiguous enough
+// to match even when iOS puts the group name in the sender slot; the rest
+// only count on lines without a sender.
+const SYSTEM_PATTERNS = [
+  { event: "encryption", anySender: true, re: /^Messages (and calls )?(to this (group|chat) )?are (now )?(secured with )?end-to-end encrypt/i },
+  { event: "security_code", anySender: true, re: /security code (with .+ )?changed/i },
+  { event: "disappearing", anySender: true, re: /(turned (on|off)|changed|uses?) disappearing messages|^Disappearing messages/i },
+  { event: "created", re: /\bcreated (the )?group\b/i },
+  { event: "added", re: /\badded\b/i },
+  { event: "removed", re: /\bremoved\b/i },
+  { event: "left", re: /\bleft$/i },
+  { event: "joined", re: /\bjoined( using this group's invite link)?\b/i },
+  { event: "subject", re: /\bchanged (the )?(subject|group name)\b/i },
+  { event: "icon", re: /\b(changed|deleted) (this )?group('s)? (icon|photo)\b/i },
+  { event: "description", re: /\bchanged the group description\b/i },
+  { event: "admin", re: /\b(now an admin|no longer an admin)\b/i },
+  { event: "number_changed", re: /\bchanged (their phone number|to \+?\d)/i },
+];
+
+const MEDIA_OMITTED_RE = /^<?(Media|image|video|audio|sticker|GIF|document|video note) omitted>?$/i;
+const DELETED_RE = /^(This message was deleted\.?|You deleted this message\.?)$/i;
+const EDITED_RE = /\s*<This message was edited>$/i;
+const LOCATION_RE = /^(live )?location:\s*(https?:\/\/\S+)/i;
+const CONTACT_RE = /^(?:<attached:\s*(?:\d+-)?)?(.+?)\.vcf(?:>|\s*\(file attached\))?$|^Contact card omitted$/i;
+
+function systemEventOf(text, hasSender) {
+  const found = SYSTEM_PATTERNS.find(p => (p.anySender || !hasSender) && p.re.test(text.trim()));
+  return found ? found.event : "";
+}
+
+function parseCoordinates(url) {
+  const match = url.match(/[?&](?:q|ll|query)=(-?\d+(?:\.\d+)?),\s*(-?\d+(?:\.\d+)?)/) ||
+    url.match(/@(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)/);
+  return match ? { latitude: parseFloat(match[1]), longitude: parseFloat(match[2]) } : null;
+}
+
+function classifyMessage(row, media) {
+  const info = { messageType: "text", systemEvent: "", edited: false, message: row.message };
+
+  if (EDITED_RE.test(info.message)) {
+    info.edited = true;
+    info.message = info.message.replace(EDITED_RE, "");
+  }
+
+  const text = info.message.trim();
+  const systemEvent = systemEventOf(text, Boolean(row.sender));
+
+  if (systemEvent || !row.sender) {
+    info.messageType = "system";
+    info.systemEvent = systemEvent || "other";
+  } else if (MEDIA_OMITTED_RE.test(text)) {
+    info.messageType = "media_omitted";
+  } else if (DELETED_RE.test(text)) {
+    info.messageType = "deleted";
+  } else if (/^POLL:/i.test(text)) {
+    const lines = text.split("\n").map(l => l.trim()).filter(Boolean);
+    info.messageType = "poll";
+    info.pollQuestion = lines[1] || "";
+    info.pollOptions = lines
+      .filter(l => /^OPTION:/i.test(l))
+      .map(l => l.replace(/^OPTION:\s*/i, ""))
+      .join("; ");
+  } else if (LOCATION_RE.test(text)) {
+    info.messageType = "location";
+    Object.assign(info, parseCoordinates(text.match(LOCATION_RE)[2]));
+  } else if (CONTACT_RE.test(text)) {
+    const match = text.match(CONTACT_RE);
+    info.messageType = "contact";
+    info.contactName = match[1] || "";
+  } else if (media.length > 0) {
+    info.messageType = "media";
+  }
+
+  return info;
+}
+
+function enrichRow(row, options = {}) {
+  const normalizedDate = normalizeDate(row.date, options.dateOrder);
   const normalizedTime = normalizeTime(row.time);
   const media = extractMediaReferences(row.message);
+  const { message, ...type } = classifyMessage(row, media);
+  const links = extractLinks(message);
   
-  // Parse datetime for additional fields
-  let datetime = null;
+  // Read the timestamp in the export's zone and report it in the output zone
+  const sourceTimezone = options.sourceTimezone || "UTC";
+  const outputTimezone = options.outputTimezone || sourceTimezone;
+  const epochMs = zonedTimeToEpoch(normalizedDate, normalizedTime, sourceTimezone);
+
+  let date = normalizedDate;
+  let time = normalizedTime;
+  let datetime = "";
+  let timestampLocal = "";
   let dayOfWeek = "";
   let hour = "";
-  let messageLength = row.message.length;
-  let wordCount = row.message.trim() ? row.message.trim().split(/\s+/).length : 0;
+  let messageLength = message.length;
+  let wordCount = message.trim() ? message.trim().split(/\s+/).length : 0;
   
-  if (normalizedDate && normalizedTime) {
-    try {
-      const [hours, minutes] = normalizedTime.split(':');
-      datetime = new Date(`${normalizedDate}T${hours}:${minutes}:00`);
-      if (!isNaN(datetime.getTime())) {
-        const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-        dayOfWeek = days[datetime.getDay()];
-        hour = hours;
-      }
-    } catch (e) {
-      // Invalid date
-    }
+  if (epochMs !== null) {
+    const local = zonedParts(epochMs, outputTimezone);
+    const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    date = local.date;
+    time = local.time;
+    datetime = new Date(epochMs).toISOString();
+    timestampLocal = local.iso;
+    dayOfWeek = days[local.day];
+    hour = `${local.time.slice(0, 2)}:00`;
   }
   
   return {
     ...row,
-    date: normalizedDate,
-    time: normalizedTime,
-    datetime: datetime ? datetime.toISOString() : "",
+    message,
+    date,
+    time,
+    datetime,
+    timestampUtc: datetime ? `${datetime.slice(0, 19)}Z` : "",
+    timestampLocal,
+    epoch: epochMs !== null ? Math.floor(epochMs / 1000) : "",
+    timezone: outputTimezone,
     dayOfWeek,
-    hour: hour ? `${hour}:00` : "",
+    hour,
     messageLength,
     wordCount,
     mediaCount: media.length,
     mediaFiles: media.join('; '),
+    linkCount: links.urls.length,
+    urls: links.urls.join('; '),
+    domains: links.domains.join('; '),
+    emails: links.emails.join('; '),
+    phones: links.phones.join('; '),
+    mentions: links.mentions.join('; '),
+    ...type,
   };
 }
 
-function calculateStatistics(rows) {
-  const stats = {
-    totalMessages: rows.length,
-    uniqueSenders: new Set(rows.map(r => r.sender).filter(s => s)).size,
-    dateRange: { start: null, end: null },
-    messagesPerSender: {},
-    totalWords: 0,
-    totalCharacters: 0,
-    averageMessageLength: 0,
-    mostActiveDay: {},
-    mostActiveHour: {},
-    mediaCount: 0,
-  };
-  
-  const dates = [];
-  const senders = {};
-  
-  for (const row of rows) {
-    // Sender stats
-    if (row.sender) {
-      senders[row.sender] = (senders[row.sender] || 0) + 1;
-    }
-    
-    // Date range
-    if (row.date) {
-      dates.push(row.date);
-    }
-    
-    // Word and character counts
-    stats.totalWords += row.wordCount || 0;
-    stats.totalCharacters += row.messageLength || 0;
-    
-    // Day of week
-    if (row.dayOfWeek) {
-      stats.mostActiveDay[row.dayOfWeek] = (stats.mostActiveDay[row.dayOfWeek] || 0) + 1;
-    }
-    
-    // Hour
-    if (row.hour) {
-      stats.mostActiveHour[row.hour] = (stats.mostActiveHour[row.hour] || 0) + 1;
-    }
-    
-    // Media
-    stats.mediaCount += row.mediaCount || 0;
+/* -------------------- Chats -------------------- */
+// "WhatsApp Chat with Alice.txt" -> "Alice"; iOS names every chat _chat.txt,
+// so those fall back to their folder or the uploaded archive's name
+function chatNameOf(fileName, fallback) {
+  const base = path.basename(fileName).replace(/\.txt$/i, "");
+  const name = base
+    .replace(/^WhatsApp Chat (with|-)\s*/i, "")
+    .replace(/^_chat$/i, "")
+    .trim();
+  if (name) return name;
+  const folder = path.basename(path.dirname(fileName));
+  return folder && folder !== "." ? chatNameOf(folder, fallback) : fallback;
+}
+
+// Tags every row with its chat and records it, keeping chat names unique
+function addChat(chats, name, sourceFile, rows) {
+  let unique = name;
+  for (let n = 2; chats.some(c => c.name === unique); n++) {
+    unique = `${name} (${n})`;
   }
-  
-  stats.messagesPerSender = senders;
-  stats.averageMessageLength = stats.totalMessages > 0 ? Math.round(stats.totalCharacters / stats.totalMessages) : 0;
-  
-  if (dates.length > 0) {
-    dates.sort();
-    stats.dateRange.start = dates[0];
-    stats.dateRange.end = dates[dates.length - 1];
+
+  for (const row of rows) {
+    row.chat = unique;
   }
-  
-  // Find most active day and hour
-  stats.mostActiveDayName = Object.keys(stats.mostActiveDay).reduce((a, b) => 
-    stats.mostActiveDay[a] > stats.mostActiveDay[b] ? a : b, "");
-  stats.mostActiveHourValue = Object.keys(stats.mostActiveHour).reduce((a, b) => 
-    stats.mostActiveHour[a] > stats.mostActiveHour[b] ? a : b, "");
-  
-  return stats;
+
+  const entry = { name: unique, sourceFile, messages: rows.length };
+  chats.push(entry);
+  return entry;
 }
 
-function filterRows(rows, filters) {
-  let filtered = [...rows];
-  
-  if (filters.sender && filters.sender !== "all") {
-    filtered = filtered.filter(r => r.sender === filters.sender);
+function groupByChat(rows) {
+  const groups = new Map();
+  for (const row of rows) {
+    const chat = row.chat || "";
+    if (!groups.has(chat)) groups.set(chat, []);
+    groups.get(chat).push(row);
   }
-  
-  if (filters.dateFrom) {
-    filtered = filtered.filter(r => r.date >= filters.dateFrom);
+  return groups;
+}
+
+/* -------------------- Merge -------------------- */
+// Exports of the same chat can differ in trailing spaces and wrapped lines
+function normalizeMessageText(text) {
+  return String(text || "")
+    .split("\n")
+    .map(line => line.trim().replace(/\s+/g, " "))
+    .filter(Boolean)
+    .join("\n");
+}
+
+// Keyed by the name in the export, so aliases don't hide duplicates
+function messageSlot(row) {
+  return `${row.datetime || `${row.date} ${row.time}`}\u0000${originalSenderOf(row)}`;
+}
+
+// Adds `incoming` to `base`, dropping messages `base` already has. A message
+// repeated within one export is kept as often as that export has it. If the
+// last message of `base` was cut short, the longer version from `incoming`
+// replaces it, unless `incoming` has the short one as well.
+function mergeChatRows(base, incoming) {
+  const counts = new Map();
+  for (const row of base) {
+    const key = `${messageSlot(row)}\u0000${normalizeMessageText(row.message)}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  const last = base[base.length - 1];
+  const lastText = last ? normalizeMessageText(last.message) : "";
+  const lastKey = last ? `${messageSlot(last)}\u0000${lastText}` : "";
+  const seen = new Map();
+  const added = [];
+  let longer = null;
+  let duplicates = 0;
+
+  for (const row of incoming) {
+    const text = normalizeMessageText(row.message);
+    const key = `${messageSlot(row)}\u0000${text}`;
+    const n = (seen.get(key) || 0) + 1;
+    seen.set(key, n);
+
+    if (n <= (counts.get(key) || 0)) {
+      duplicates++;
+      continue;
+    }
+
+    if (!longer && last && lastText && messageSlot(row) === messageSlot(last) &&
+        text.length > lastText.length && text.startsWith(lastText)) {
+      longer = row;
+      continue;
+    }
+
+    added.push(row);
+  }
+
+  // The short version is a real message when `incoming` matched it too
+  let replaced = 0;
+  if (longer && (seen.get(lastKey) || 0) >= counts.get(lastKey)) {
+    added.push(longer);
+    longer = null;
+  } else if (longer) {
+    replaced = 1;
+  }
+
+  const rows = (longer ? [...base.slice(0, -1), longer] : [...base]).concat(added);
+  rows.sort((a, b) => (a.datetime || "").localeCompare(b.datetime || ""));
+
+  return { rows, added: added.length, duplicates, replaced };
+}
+
+// Merges a parsed chat into an existing chat entry and records where the
+// entry's messages came from
+function mergeIntoChat(entry, baseRows, incoming) {
+  if (!entry.sources) {
+    entry.sources = [{ file: entry.sourceFile, messages: baseRows.length, added: baseRows.length, duplicates: 0, replaced: 0 }];
+    entry.duplicatesDropped = 0;
+  }
+
+  for (const row of incoming.rows) {
+    row.chat = entry.name;
+  }
+
+  const { rows, added, duplicates, replaced } = mergeChatRows(baseRows, incoming.rows);
+  entry.sources.push({ file: incoming.sourceFile, messages: incoming.rows.length, added, duplicates, replaced });
+  entry.sourceFile = entry.sources.map(source => source.file).join(", ");
+  entry.duplicatesDropped += duplicates;
+  entry.messages = rows.length;
+  return rows;
+}
+
+function replaceChatRows(item, chat, rows) {
+  const groups = groupByChat(item.rows);
+  groups.set(chat, rows);
+  item.rows = [...groups.values()].flat();
+}
+
+/* -------------------- Diff -------------------- */
+const DIFF_COLUMNS = ["status", "change", "date", "time", "sender", "message", "otherMessage", "sourceFile"];
+
+function dateRangeOf(rows) {
+  const dates = rows.map(r => r.date).filter(Boolean).sort();
+  return { start: dates[0] || null, end: dates[dates.length - 1] || null };
+}
+
+// Consecutive days found in `from` but not in `to`, as { start, end, days } ranges
+function missingDayRanges(from, to) {
+  const present = new Set(to.map(r => r.date));
+  const missing = [...new Set(from.map(r => r.date).filter(d => d && !present.has(d)))].sort();
+  const ranges = [];
+
+  for (const date of missing) {
+    const last = ranges[ranges.length - 1];
+    if (last && Date.parse(date) - Date.parse(last.end) === 86400000) {
+      last.end = date;
+      last.days++;
+    } else {
+      ranges.push({ start: date, end: date, days: 1 });
+    }
+  }
+
+  return ranges;
+}
+
+// Compares two exports of one chat: messages only one side has, messages
+// whose text differs between them (edited or deleted later) and days covered
+// by only one side
+function diffChatRows(a, b) {
+  const keyOf = row => `${messageSlot(row)}\u0000${normalizeMessageText(row.message)}`;
+  const remaining = new Map();
+  for (const row of b) {
+    const key = keyOf(row);
+    if (!remaining.has(key)) remaining.set(key, []);
+    remaining.get(key).push(row);
+  }
+
+  let identical = 0;
+  const unmatchedA = [];
+  for (const row of a) {
+    const matches = remaining.get(keyOf(row));
+    if (matches && matches.length) {
+      matches.shift();
+      identical++;
+    } else {
+      unmatchedA.push(row);
+    }
+  }
+
+  // Same timestamp and sender with different text is the same message, changed
+  const unmatchedB = [...remaining.values()].flat();
+  const bySlot = new Map();
+  for (const row of unmatchedB) {
+    if (!bySlot.has(messageSlot(row))) bySlot.set(messageSlot(row), []);
+    bySlot.get(messageSlot(row)).push(row);
+  }
+
+  const differences = [];
+  const changedB = new Set();
+  for (const row of unmatchedA) {
+    const other = (bySlot.get(messageSlot(row)) || []).find(r => !changedB.has(r));
+    if (other) {
+      changedB.add(other);
+      const deleted = row.messageType === "deleted" || other.messageType === "deleted";
+      differences.push({
+        ...row,
+        status: "changed",
+        change: deleted ? "deleted" : "edited",
+        otherMessage: other.message,
+      });
+    } else {
+      differences.push({ ...row, status: "only_in_a", change: "", otherMessage: "" });
+    }
+  }
+
+  for (const row of unmatchedB) {
+    if (!changedB.has(row)) {
+      differences.push({ ...row, status: "only_in_b", change: "", otherMessage: "" });
+    }
+  }
+
+  differences.sort((x, y) => (x.datetime || "").localeCompare(y.datetime || ""));
+
+  const count = status => differences.filter(d => d.status === status).length;
+
+  return {
+    a: { messages: a.length, dateRange: dateRangeOf(a) },
+    b: { messages: b.length, dateRange: dateRangeOf(b) },
+    summary: {
+      identical,
+      onlyInA: count("only_in_a"),
+      onlyInB: count("only_in_b"),
+      changed: count("changed"),
+    },
+    differences,
+    gaps: [
+      ...missingDayRanges(a, b).map(range => ({ missingFrom: "b", ...range })),
+      ...missingDayRanges(b, a).map(range => ({ missingFrom: "a", ...range })),
+    ].sort((x, y) => x.start.localeCompare(y.start)),
+  };
+}
+
+function calculateStatistics(rows, options = {}) {
+  const messages = rows.filter(r => r.messageType !== "system");
+  const stats = {
+    totalMessages: messages.length,
+    systemMessages: rows.length - messages.length,
+    uniqueSenders: new Set(messages.map(r => r.sender).filter(s => s)).size,
+    dateRange: { start: null, end: null },
+    messagesPerSender: {},
+    totalWords: 0,
+    totalCharacters: 0,
+    averageMessageLength: 0,
+    mostActiveDay: {},
+    mostActiveHour: {},
+    mediaCount: 0,
+    messagesPerType: {},
+    links: { urls: 0, emails: 0, phones: 0, mentions: 0 },
+    topDomains: [],
+  };
+  
+  const dates = [];
+  const senders = {};
+  const domains = {};
+  
+  for (const row of rows) {
+    // Message types
+    if (row.messageType) {
+      stats.messagesPerType[row.messageType] = (stats.messagesPerType[row.messageType] || 0) + 1;
+    }
+    
+    // Date range
+    if (row.date) {
+      dates.push(row.date);
+    }
+    
+    // Notices from WhatsApp itself are not anyone's messages
+    if (row.messageType === "system") continue;
+    
+    // Sender stats
+    if (row.sender) {
+      senders[row.sender] = (senders[row.sender] || 0) + 1;
+    }
+    
+    // Word and character counts
+    stats.totalWords += row.wordCount || 0;
+    stats.totalCharacters += row.messageLength || 0;
+    
+    // Day of week
+    if (row.dayOfWeek) {
+      stats.mostActiveDay[row.dayOfWeek] = (stats.mostActiveDay[row.dayOfWeek] || 0) + 1;
+    }
+    
+    // Hour
+    if (row.hour) {
+      stats.mostActiveHour[row.hour] = (stats.mostActiveHour[row.hour] || 0) + 1;
+    }
+    
+    // Media
+    stats.mediaCount += row.mediaCount || 0;
+    
+    // Shared links and contact details
+    for (const kind of ["urls", "emails", "phones", "mentions"]) {
+      if (row[kind]) stats.links[kind] += row[kind].split("; ").length;
+    }
+    if (row.domains) {
+      for (const domain of row.domains.split("; ")) {
+        domains[domain] = (domains[domain] || 0) + 1;
+      }
+    }
+  }
+  
+  stats.messagesPerSender = senders;
+  stats.topDomains = Object.entries(domains)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 10)
+    .map(([domain, count]) => ({ domain, count }));
+  stats.averageMessageLength = stats.totalMessages > 0 ? Math.round(stats.totalCharacters / stats.totalMessages) : 0;
+  
+  if (dates.length > 0) {
+    dates.sort();
+    stats.dateRange.start = dates[0];
+    stats.dateRange.end = dates[dates.length - 1];
+  }
+  
+  // Find most active day and hour
+  stats.mostActiveDayName = Object.keys(stats.mostActiveDay).reduce((a, b) => 
+    stats.mostActiveDay[a] > stats.mostActiveDay[b] ? a : b, "");
+  stats.mostActiveHourValue = Object.keys(stats.mostActiveHour).reduce((a, b) => 
+    stats.mostActiveHour[a] > stats.mostActiveHour[b] ? a : b, "");
+  
+  // Per-chat breakdown when rows come from several chats
+  if (options.perChat !== false) {
+    const groups = groupByChat(rows);
+    if (groups.size > 1) {
+      stats.perChat = {};
+      for (const [chat, chatRows] of groups) {
+        stats.perChat[chat] = calculateStatistics(chatRows, { perChat: false });
+      }
+    }
+  }
+  
+  return stats;
+}
+
+// Counts behind the preview charts. The browser groups the daily counts into
+// weeks or months itself, so one response serves every granularity.
+const WEEKDAYS = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
+
+function calculateActivity(rows, topSenders = 8) {
+  const activity = {
+    daily: {},
+    heatmap: Object.fromEntries(WEEKDAYS.map(day => [day, new Array(24).fill(0)])),
+    senders: {},
+    media: {},
+  };
+  const perSender = new Map();
+
+  for (const row of rows) {
+    if (row.messageType === "system" || !row.date) continue;
+
+    activity.daily[row.date] = (activity.daily[row.date] || 0) + 1;
+
+    const hour = parseInt(row.hour);
+    if (activity.heatmap[row.dayOfWeek] && hour >= 0 && hour < 24) {
+      activity.heatmap[row.dayOfWeek][hour]++;
+    }
+
+    const media = (row.mediaCount || 0) + (row.messageType === "media_omitted" ? 1 : 0);
+    if (media) activity.media[row.date] = (activity.media[row.date] || 0) + media;
+
+    if (row.sender) {
+      if (!perSender.has(row.sender)) perSender.set(row.sender, { total: 0, daily: {} });
+      const sender = perSender.get(row.sender);
+      sender.total++;
+      sender.daily[row.date] = (sender.daily[row.date] || 0) + 1;
+    }
+  }
+
+  // The busiest senders get their own series, everyone else is summed up
+  const ranked = [...perSender.entries()].sort((a, b) => b[1].total - a[1].total);
+  ranked.forEach(([name, sender], i) => {
+    if (i < topSenders) {
+      activity.senders[name] = sender.daily;
+      return;
+    }
+    const others = activity.senders["Others"] || (activity.senders["Others"] = {});
+    for (const [date, count] of Object.entries(sender.daily)) {
+      others[date] = (others[date] || 0) + count;
+    }
+  });
+
+  return activity;
+}
+
+/* -------------------- Analytics -------------------- */
+// A conversation starts when nobody has written for this long
+const CONVERSATION_GAP_MINUTES = 60;
+
+const LINK_COLUMNS = ["kind", "value", "domain", "date", "time", "timestampLocal", "sender", "chat", "message"];
+
+// One row per URL, e-mail address and phone number, in timeline order
+function linkRows(rows) {
+  const links = [];
+  for (const row of rows) {
+    for (const [kind, field] of [["url", "urls"], ["email", "emails"], ["phone", "phones"]]) {
+      if (!row[field]) continue;
+      for (const value of row[field].split("; ")) {
+        links.push({
+          kind,
+          value,
+          domain: kind === "url" ? domainOf(value) : kind === "email" ? (value.split("@")[1] || "").toLowerCase() : "",
+          date: row.date,
+          time: row.time,
+          timestampLocal: row.timestampLocal,
+          sender: row.sender,
+          chat: row.chat,
+          message: row.message,
+        });
+      }
+    }
+  }
+  return links;
+}
+
+const PARTICIPANT_COLUMNS = [
+  "sender", "messages", "words", "averageWords", "mediaCount", "mediaShare",
+  "replies", "averageReplyMinutes", "medianReplyMinutes",
+  "conversationsStarted", "conversationsEnded",
+  "longestStreakDays", "streakStart", "streakEnd", "mostActiveHours",
+];
+
+function gapMinutesOf(value) {
+  const minutes = parseFloat(value);
+  return minutes > 0 ? minutes : CONVERSATION_GAP_MINUTES;
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const round1 = value => value === null ? null : Math.round(value * 10) / 10;
+
+// Longest run of consecutive calendar days in a set of "YYYY-MM-DD" dates
+function longestStreak(dates) {
+  const days = [...dates].sort();
+  let best = { days: 0, start: null, end: null };
+  let start = 0;
+  for (let i = 0; i < days.length; i++) {
+    if (i > 0 && Date.parse(days[i]) - Date.parse(days[i - 1]) !== 86400000) start = i;
+    if (i - start + 1 > best.days) best = { days: i - start + 1, start: days[start], end: days[i] };
+  }
+  return best;
+}
+
+// Per-participant reply times, conversation starts and ends, streaks and habits.
+// A reply is a message following someone else's within the same conversation.
+function calculateParticipants(rows, options = {}) {
+  const gapMs = gapMinutesOf(options.gapMinutes) * 60000;
+  const people = new Map();
+  let totalMedia = 0;
+
+  const personOf = sender => {
+    if (!people.has(sender)) {
+      people.set(sender, {
+        messages: 0, words: 0, mediaCount: 0, replyTimes: [],
+        started: 0, ended: 0, dates: new Set(), hours: {},
+      });
+    }
+    return people.get(sender);
+  };
+
+  for (const chatRows of groupByChat(rows).values()) {
+    let previous = null;
+    for (const row of chatRows) {
+      if (row.messageType === "system" || !row.sender) continue;
+
+      const person = personOf(row.sender);
+      const media = (row.mediaCount || 0) + (row.messageType === "media_omitted" ? 1 : 0);
+      person.messages++;
+      person.words += row.wordCount || 0;
+      person.mediaCount += media;
+      totalMedia += media;
+      if (row.date) person.dates.add(row.date);
+      if (row.hour) person.hours[row.hour] = (person.hours[row.hour] || 0) + 1;
+
+      const time = Date.parse(row.datetime);
+      const elapsed = previous ? time - previous.time : NaN;
+      if (!previous || elapsed >= gapMs) {
+        person.started++;
+        if (previous) personOf(previous.sender).ended++;
+      } else if (previous.sender !== row.sender && !Number.isNaN(elapsed)) {
+        person.replyTimes.push(elapsed / 60000);
+      }
+      previous = { sender: row.sender, time };
+    }
+    if (previous) personOf(previous.sender).ended++;
+  }
+
+  return [...people.entries()].map(([sender, p]) => {
+    const streak = longestStreak(p.dates);
+    const replies = p.replyTimes.length;
+    return {
+      sender,
+      messages: p.messages,
+      words: p.words,
+      averageWords: round1(p.words / p.messages),
+      mediaCount: p.mediaCount,
+      mediaShare: totalMedia ? round1(p.mediaCount / totalMedia * 100) : 0,
+      replies,
+      averageReplyMinutes: replies ? round1(p.replyTimes.reduce((a, b) => a + b, 0) / replies) : null,
+      medianReplyMinutes: round1(median(p.replyTimes)),
+      conversationsStarted: p.started,
+      conversationsEnded: p.ended,
+      longestStreakDays: streak.days,
+      streakStart: streak.start,
+      streakEnd: streak.end,
+      mostActiveHours: Object.entries(p.hours).sort((a, b) => b[1] - a[1]).slice(0, 3).map(([hour]) => hour).join(", "),
+    };
+  }).sort((a, b) => b.messages - a.messages);
+}
+
+const CONVERSATION_COLUMNS = [
+  "conversationId", "chat", "start", "end", "durationMinutes",
+  "messages", "participantCount", "participants", "initiator",
+];
+
+// Numbers every chat's messages into conversations, starting a new one wherever
+// nobody wrote for `gapMinutes`. System notices and rows without a timestamp
+// join the conversation they sit in. Ids run across the session so they stay
+// unique when several chats are loaded.
+function segmentConversations(rows, gapMinutes) {
+  const gapMs = gapMinutesOf(gapMinutes) * 60000;
+  let id = 0;
+
+  for (const chatRows of groupByChat(rows).values()) {
+    let previous = null;
+    let start = "";
+    let position = 0;
+
+    for (const row of chatRows) {
+      const time = row.messageType === "system" ? NaN : Date.parse(row.datetime);
+      if (position === 0 || previous !== null && time - previous >= gapMs) {
+        id++;
+        position = 0;
+        start = row.timestampLocal || row.datetime || "";
+      }
+      if (!Number.isNaN(time)) previous = time;
+
+      row.conversationId = id;
+      row.conversationStart = start;
+      row.positionInConversation = ++position;
+    }
+  }
+}
+
+// One line per conversation: when, how long, who took part and who opened it
+function summarizeConversations(rows) {
+  const conversations = new Map();
+
+  for (const row of rows) {
+    if (!row.conversationId) continue;
+    if (!conversations.has(row.conversationId)) {
+      conversations.set(row.conversationId, {
+        conversationId: row.conversationId,
+        chat: row.chat,
+        start: "",
+        end: "",
+        messages: 0,
+        participants: new Set(),
+        initiator: "",
+      });
+    }
+
+    const conversation = conversations.get(row.conversationId);
+    const timestamp = row.timestampLocal || row.datetime;
+    if (timestamp) {
+      conversation.start = conversation.start || timestamp;
+      conversation.end = timestamp;
+    }
+    if (row.messageType === "system" || !row.sender) continue;
+
+    conversation.messages++;
+    conversation.participants.add(row.sender);
+    conversation.initiator = conversation.initiator || row.sender;
+  }
+
+  return [...conversations.values()].map(c => ({
+    ...c,
+    durationMinutes: c.start ? round1((Date.parse(c.end) - Date.parse(c.start)) / 60000) : null,
+    participantCount: c.participants.size,
+    participants: [...c.participants].join("; "),
+  }));
+}
+
+/* -------------------- Vocabulary -------------------- */
+// Common words left out of word and bigram counts. "auto" uses every list,
+// which suits chats that mix languages.
+const STOPWORDS = {
+  en: "a about after all also am an and any are as at be because been but by can could did do does don't for from get got had has have he her him his how i i'm if in into is it it's its just like me my no not now of oh ok okay on one or our out so that the their them then there they this to too up us was we were what when which who will with would yeah yes you your",
+  es: "a al algo como con de del el ella ellos en era es esa ese eso esta este esto estoy ha hay la las le lo los me mi muy más ni no nos o para pero por que qué se si sí su sus también te tu tú un una y ya yo",
+  pt: "a ao as com como da das de do dos e ela ele em era essa esse eu foi isso já lhe mais mas me meu minha muito na nas no nos não o os ou para pela pelo por que se sem seu sua só também te tem um uma você é",
+  fr: "a au aux avec ce ces c'est dans de des du elle en est et il ils j'ai je la le les leur lui ma mais me mes moi mon ne nous on ou par pas pour qu'il que qui sa se ses son sur ta te tes toi ton tu un une vous y à ça été",
+  de: "aber als am an auch auf aus bei bin bis bist da das dass dem den der des die du ein eine einen er es für hab habe hat ich ihr im in ist ja mal man mich mir mit nicht noch nur so und uns von war was wie wir zu zum zur",
+  it: "a ai al alla anche che chi ci come con da del della di e è gli ha ho i il in io la le lo ma mi ne non per più se si sono su ti tu un una",
+  nl: "aan al als ben bij dan dat de die dit een en er had heb het hij ik in is je jij maar me met mij na niet nog nu of om ook op te tot uit van voor was wat we wel wij ze zijn",
+};
+const STOPWORD_SETS = Object.fromEntries(
+  Object.entries(STOPWORDS).map(([lang, words]) => [lang, new Set(words.split(" "))])
+);
+const ALL_STOPWORDS = new Set(Object.values(STOPWORD_SETS).flatMap(set => [...set]));
+
+const VOCABULARY_COLUMNS = ["kind", "sender", "term", "count", "score"];
+
+const graphemes = new Intl.Segmenter(undefined, { granularity: "grapheme" });
+const wordSegments = new Intl.Segmenter(undefined, { granularity: "word" });
+
+// Cheap check before splitting a message into grapheme clusters
+const MAYBE_EMOJI_RE = /[\p{Extended_Pictographic}\p{Regional_Indicator}\u20E3]/u;
+// A cluster is shown as an emoji if it has emoji presentation, a variation
+// selector, a skin tone, a ZWJ sequence, a flag or a keycap
+const EMOJI_RE = /\p{Emoji_Presentation}|\p{Extended_Pictographic}\uFE0F|\p{Emoji_Modifier}|\u200D|\p{Regional_Indicator}{2}|\u20E3/u;
+
+// Whole emoji sequences, so 👍🏽, 👨‍👩‍👧 and 🇩🇪 each count once
+function emojisOf(text) {
+  if (!MAYBE_EMOJI_RE.test(text)) return [];
+  const found = [];
+  for (const { segment } of graphemes.segment(text)) {
+    if (EMOJI_RE.test(segment)) found.push(segment);
+  }
+  return found;
+}
+
+function wordsOf(text, stopwords) {
+  const words = [];
+  const clean = text.replace(/https?:\/\/\S+|www\.\S+/gi, " ").replace(/[’‘]/g, "'");
+  for (const { segment, isWordLike } of wordSegments.segment(clean)) {
+    const word = segment.toLowerCase();
+    if (!isWordLike || word.length < 2 || !/\p{L}/u.test(word)) continue;
+    words.push(stopwords.has(word) ? null : word);
+  }
+  return words;
+}
+
+function countInto(counts, key) {
+  counts.set(key, (counts.get(key) || 0) + 1);
+}
+
+function topOf(counts, limit) {
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+    .slice(0, limit)
+    .map(([term, count]) => ({ term, count }));
+}
+
+// Words a sender uses much more than everyone else: smoothed ratio of their
+// rate to the others' rate, for words they used at least three times
+function distinctiveWords(senderCounts, senderTotal, allCounts, allTotal, limit) {
+  const vocabulary = allCounts.size || 1;
+  const othersTotal = allTotal - senderTotal;
+  const scored = [];
+  for (const [word, count] of senderCounts) {
+    if (count < 3) continue;
+    const own = (count + 1) / (senderTotal + vocabulary);
+    const others = (allCounts.get(word) - count + 1) / (othersTotal + vocabulary);
+    scored.push({ term: word, count, score: Math.round(own / others * 100) / 100 });
+  }
+  return scored.sort((a, b) => b.score - a.score || b.count - a.count).slice(0, limit);
+}
+
+// Top emojis, words and bigrams for the rows, overall and per sender. Bigrams
+// are pairs of neighbouring words with no stopword in between.
+function calculateVocabulary(rows, options = {}) {
+  const language = STOPWORD_SETS[options.language] ? options.language : "auto";
+  const stopwords = STOPWORD_SETS[language] || ALL_STOPWORDS;
+  const limit = Math.min(Math.max(parseInt(options.limit) || 20, 1), 200);
+
+  const emojis = new Map();
+  const words = new Map();
+  const bigrams = new Map();
+  const senders = new Map();
+  let totalWords = 0;
+
+  for (const row of rows) {
+    if (!["text", "media"].includes(row.messageType) || !row.message) continue;
+
+    if (!senders.has(row.sender)) senders.set(row.sender, { emojis: new Map(), words: new Map(), total: 0 });
+    const sender = senders.get(row.sender);
+
+    for (const emoji of emojisOf(row.message)) {
+      countInto(emojis, emoji);
+      countInto(sender.emojis, emoji);
+    }
+
+    const messageWords = wordsOf(row.message, stopwords);
+    messageWords.forEach((word, i) => {
+      if (!word) return;
+      countInto(words, word);
+      countInto(sender.words, word);
+      sender.total++;
+      totalWords++;
+      if (messageWords[i + 1]) countInto(bigrams, `${word} ${messageWords[i + 1]}`);
+    });
+  }
+
+  const perSender = {};
+  for (const [name, sender] of senders) {
+    if (!name) continue;
+    perSender[name] = {
+      emojis: topOf(sender.emojis, 10),
+      distinctiveWords: distinctiveWords(sender.words, sender.total, words, totalWords, 10),
+    };
+  }
+
+  return {
+    language,
+    emojis: topOf(emojis, limit),
+    words: topOf(words, limit),
+    bigrams: topOf(bigrams, limit),
+    perSender,
+  };
+}
+
+// Flattens a vocabulary report into rows for CSV
+function vocabularyRows(report) {
+  const rows = [];
+  for (const kind of ["emojis", "words", "bigrams"]) {
+    report[kind].forEach(item => rows.push({ kind: kind.slice(0, -1), sender: "", ...item }));
+  }
+  for (const [sender, stats] of Object.entries(report.perSender)) {
+    stats.emojis.forEach(item => rows.push({ kind: "emoji", sender, ...item }));
+    stats.distinctiveWords.forEach(item => rows.push({ kind: "distinctive", sender, ...item }));
+  }
+  return rows;
+}
+
+/* -------------------- Filters -------------------- */
+// A filter is a plain JSON object, so the same string can be saved, shared and
+// sent to /api/filter, /api/data or /download. Every field that is set must match.
+const MEDIA_CATEGORIES = ["image", "video", "audio", "document"];
+
+// "all", "" and missing mean no restriction; a single value becomes a list
+function listOf(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values.filter(v => v !== undefined && v !== null && v !== "" && v !== "all").map(String);
+}
+
+function mediaCategoryOf(fileName) {
+  const mime = mimeTypeOf(fileName);
+  return MEDIA_CATEGORIES.find(c => mime.startsWith(`${c}/`)) || "document";
+}
+
+// "9:5" -> "09:05"; null when it isn't a time of day
+function clockOf(value) {
+  const match = String(value).match(/^(\d{1,2}):(\d{1,2})/);
+  if (!match || +match[1] > 23 || +match[2] > 59) return null;
+  return `${match[1].padStart(2, "0")}:${match[2].padStart(2, "0")}`;
+}
+
+// Keyword expressions: words and "quoted phrases" joined by AND, OR, NOT and
+// parentheses. Terms next to each other are ANDed, NOT binds tightest, then AND,
+// then OR. Operators must be upper case so "and" can still be searched for.
+function tokenizeQuery(query) {
+  const tokens = [];
+  const re = /"([^"]*)"|([()])|([^\s()"]+)/g;
+  let match;
+  while ((match = re.exec(query))) {
+    const [, phrase, paren, word] = match;
+    if (phrase !== undefined) tokens.push({ term: phrase.toLowerCase() });
+    else if (paren) tokens.push({ op: paren });
+    else if (/^(AND|OR|NOT)$/.test(word)) tokens.push({ op: word });
+    else tokens.push({ term: word.toLowerCase() });
+  }
+  return tokens;
+}
+
+function compileQuery(query) {
+  const tokens = tokenizeQuery(query);
+  let pos = 0;
+  const isOp = op => tokens[pos] && tokens[pos].op === op;
+
+  function parseOr() {
+    const parts = [parseAnd()];
+    while (isOp("OR")) {
+      pos++;
+      parts.push(parseAnd());
+    }
+    return parts.length === 1 ? parts[0] : text => parts.some(p => p(text));
+  }
+
+  function parseAnd() {
+    const parts = [parseNot()];
+    while (pos < tokens.length && !isOp("OR") && !isOp(")")) {
+      if (isOp("AND")) pos++;
+      parts.push(parseNot());
+    }
+    return parts.length === 1 ? parts[0] : text => parts.every(p => p(text));
+  }
+
+  function parseNot() {
+    if (!isOp("NOT")) return parseTerm();
+    pos++;
+    const inner = parseNot();
+    return text => !inner(text);
+  }
+
+  function parseTerm() {
+    const token = tokens[pos++];
+    if (!token) throw new Error("Search expression ends too early.");
+    if (token.op === "(") {
+      const inner = parseOr();
+      if (!isOp(")")) throw new Error("Search expression is missing a closing parenthesis.");
+      pos++;
+      return inner;
+    }
+    if (token.op) throw new Error(`Unexpected ${token.op} in search expression.`);
+    return text => text.includes(token.term);
+  }
+
+  if (!tokens.length) return null;
+  const test = parseOr();
+  if (pos < tokens.length) throw new Error(`Unexpected ${tokens[pos].op || tokens[pos].term} in search expression.`);
+  return test;
+}
+
+// Regex filters run over every row on the one server thread, so patterns that
+// can backtrack without end are refused: backreferences, and repeated groups
+// that hold a repeat or an alternation of their own, as in (a+)+ or (a|aa)*.
+// Whatever slips through (a*a*a*a*!) is stopped by withRegexTimeout.
+const MAX_REGEX_LENGTH = 200;
+const REGEX_TIMEOUT_MS = parseInt(process.env.REGEX_TIMEOUT_MS) || 1000;
+const regexSandbox = vm.createContext({});
+
+// Runs `task` under vm's watchdog, which ends any JavaScript running on the
+// thread, regex matching included, once REGEX_TIMEOUT_MS is up
+function withRegexTimeout(task) {
+  regexSandbox.task = task;
+  try {
+    return vm.runInContext("task()", regexSandbox, { timeout: REGEX_TIMEOUT_MS });
+  } catch (err) {
+    if (err.code === "ERR_SCRIPT_EXECUTION_TIMEOUT") {
+      throw new Error(`regex took longer than ${REGEX_TIMEOUT_MS}ms to run; simplify it.`);
+    }
+    throw err;
+  } finally {
+    regexSandbox.task = null;
+  }
+}
+
+function compileRegex(pattern) {
+  if (pattern.length > MAX_REGEX_LENGTH) throw new Error(`regex is longer than ${MAX_REGEX_LENGTH} characters.`);
+  if (/\\(?:[1-9]|k<)/.test(pattern)) throw new Error("regex can't use backreferences.");
+  const re = new RegExp(pattern, "i");
+
+  const groups = [false];
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === "\\") {
+      i++;
+    } else if (c === "[") {
+      for (i++; i < pattern.length && pattern[i] !== "]"; i++) {
+        if (pattern[i] === "\\") i++;
+      }
+    } else if (c === "(") {
+      groups.push(false);
+    } else if (c === ")") {
+      const nested = groups.pop();
+      if (nested && /[*+{]/.test(pattern[i + 1] || "")) {
+        throw new Error("regex repeats a group that repeats or branches inside; simplify it.");
+      }
+      groups[groups.length - 1] = groups[groups.length - 1] || nested;
+    } else if (c === "|" || c === "*" || c === "+" || c === "{") {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return re;
+}
+
+// Turns a filter object into a row predicate: { test } or { error }
+function compileFilters(filters = {}) {
+  const checks = [];
+  const searchText = r => `${r.message}\n${r.sender}`.toLowerCase();
+
+  try {
+    const chats = listOf(filters.chat);
+    if (chats.length) checks.push(r => chats.includes(r.chat));
+
+    const senders = listOf(filters.sender);
+    if (senders.length) checks.push(r => senders.includes(r.sender));
+
+    const excluded = listOf(filters.excludeSenders);
+    if (excluded.length) checks.push(r => !excluded.includes(r.sender));
+
+    const types = listOf(filters.messageType);
+    if (types.length) checks.push(r => types.includes(r.messageType));
+
+    if (filters.hideSystem) checks.push(r => r.messageType !== "system");
+
+    if (filters.dateFrom) checks.push(r => r.date >= filters.dateFrom);
+    if (filters.dateTo) checks.push(r => r.date <= filters.dateTo);
+
+    // Time-of-day range in the output time zone; from > to wraps past midnight
+    if (filters.timeFrom || filters.timeTo) {
+      const from = filters.timeFrom ? clockOf(filters.timeFrom) : "00:00";
+      const to = filters.timeTo ? clockOf(filters.timeTo) : "23:59";
+      if (!from || !to) throw new Error("Times must look like HH:MM.");
+      const inRange = t => from <= to ? t >= from && t <= to : t >= from || t <= to;
+      checks.push(r => {
+        const t = clockOf(r.time);
+        return t !== null && inRange(t);
+      });
+    }
+
+    const days = listOf(filters.days).map(d => d.slice(0, 3).toLowerCase());
+    if (days.length) checks.push(r => days.includes(String(r.dayOfWeek).slice(0, 3).toLowerCase()));
+
+    for (const [key, field, compare] of [
+      ["minLength", "messageLength", (v, n) => v >= n],
+      ["maxLength", "messageLength", (v, n) => v <= n],
+      ["minWords", "wordCount", (v, n) => v >= n],
+      ["maxWords", "wordCount", (v, n) => v <= n],
+    ]) {
+      if (filters[key] === undefined || filters[key] === null || filters[key] === "") continue;
+      const limit = Number(filters[key]);
+      if (!Number.isFinite(limit)) throw new Error(`${key} must be a number.`);
+      checks.push(r => compare(r[field], limit));
+    }
+
+    // "<Media omitted>" still counts as a message that had media
+    if (filters.hasMedia === true || filters.hasMedia === false) {
+      const hasMedia = r => r.mediaCount > 0 || r.messageType === "media_omitted";
+      checks.push(r => hasMedia(r) === filters.hasMedia);
+    }
+
+    const conversations = listOf(filters.conversationId);
+    if (conversations.length) checks.push(r => conversations.includes(String(r.conversationId)));
+
+    if (filters.firstInConversation) checks.push(r => r.positionInConversation === 1);
+
+    if (filters.linksOnly) checks.push(r => !!r.urls);
+
+    const domains = listOf(filters.domain).map(d => d.toLowerCase().replace(/^www\./, ""));
+    if (domains.length) {
+      checks.push(r => String(r.domains || "").split("; ").some(d => domains.some(want => d === want || d.endsWith(`.${want}`))));
+    }
+
+    const mediaTypes = listOf(filters.mediaType);
+    if (mediaTypes.length) {
+      checks.push(r => String(r.mediaFiles || "").split("; ").some(f => f && mediaTypes.includes(mediaCategoryOf(f))));
+    }
+
+    if (filters.keyword) {
+      const keyword = String(filters.keyword).toLowerCase();
+      checks.push(r => searchText(r).includes(keyword));
+    }
+
+    if (filters.query) {
+      const query = compileQuery(String(filters.query));
+      if (query) checks.push(r => query(searchText(r)));
+    }
+
+    if (filters.regex) {
+      const re = compileRegex(String(filters.regex));
+      checks.push(r => re.test(r.message) || re.test(r.sender));
+    }
+  } catch (err) {
+    return { error: err.message };
+  }
+
+  return { test: r => checks.every(check => check(r)) };
+}
+
+// Filters arrive as an object (JSON body) or a JSON string (query string)
+function readFilters(raw) {
+  let filters = raw || {};
+  if (typeof filters === "string") {
+    try {
+      filters = JSON.parse(filters);
+    } catch (e) {
+      return { error: "Filters are not valid JSON." };
+    }
+  }
+  if (!filters || typeof filters !== "object" || Array.isArray(filters)) {
+    return { error: "Filters must be a JSON object." };
+  }
+
+  const { error } = compileFilters(filters);
+  return error ? { error } : { filters };
+}
+
+function filterRows(rows, filters) {
+  const { test, error } = compileFilters(filters);
+  if (error) throw new Error(error);
+  return filters.regex ? withRegexTimeout(() => rows.filter(test)) : rows.filter(test);
+}
+
+// One page of rows for the preview table. Sorting is stable, so rows with
+// equal values keep their timeline order.
+const MAX_PAGE_SIZE = 500;
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" });
+
+function compareValues(a, b) {
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  return collator.compare(String(a ?? ""), String(b ?? ""));
+}
+
+function pageOf(rows, query = {}) {
+  const pageSize = Math.min(Math.max(parseInt(query.pageSize) || 50, 1), MAX_PAGE_SIZE);
+  const pages = Math.max(1, Math.ceil(rows.length / pageSize));
+  const page = Math.min(Math.max(parseInt(query.page) || 1, 1), pages);
+  const sort = query.sort || null;
+  const order = query.order === "desc" ? "desc" : "asc";
+
+  let sorted = rows;
+  if (sort) {
+    const direction = order === "desc" ? -1 : 1;
+    sorted = [...rows].sort((a, b) => direction * compareValues(a[sort], b[sort]));
+  }
+
+  return {
+    rows: sorted.slice((page - 1) * pageSize, page * pageSize),
+    total: rows.length,
+    page,
+    pageSize,
+    pages,
+    sort,
+    order,
+  };
+}
+
+/* -------------------- Context -------------------- */
+// Rows are numbered in timeline order, so a search hit can be found again in
+// the full, unfiltered session
+const MAX_CONTEXT = 100;
+
+function indexRows(rows) {
+  rows.forEach((row, i) => { row.index = i; });
+}
+
+function contextSizeOf(value, fallback) {
+  const size = parseInt(value);
+  return Number.isNaN(size) ? fallback : Math.min(Math.max(size, 0), MAX_CONTEXT);
+}
+
+// Bounds of up to `before` and `after` rows around rows[index], within its chat
+function contextRange(rows, index, before, after) {
+  const chat = rows[index].chat;
+  let start = index;
+  let end = index;
+  while (start > 0 && index - start < before && rows[start - 1].chat === chat) start--;
+  while (end < rows.length - 1 && end - index < after && rows[end + 1].chat === chat) end++;
+  return [start, end];
+}
+
+// Every match plus `size` rows either side, in timeline order. Windows that
+// overlap are merged so no row is repeated.
+function withContext(rows, matches, size) {
+  const matched = new Set(matches.map(r => r.index));
+  const picked = new Set();
+  for (const index of matched) {
+    const [start, end] = contextRange(rows, index, size, size);
+    for (let i = start; i <= end; i++) picked.add(i);
+  }
+  return [...picked].sort((a, b) => a - b).map(i => ({ ...rows[i], isMatch: matched.has(i) }));
+}
+
+/* -------------------- Sender Aliases -------------------- */
+// One person can appear as a phone number and a contact name, or under a name
+// changed partway through. `item.senderAliases` maps names as they appear in
+// the export to the name to use instead; rows keep `originalSender` so the
+// mapping can be changed or undone later.
+function originalSenderOf(row) {
+  return row.originalSender || row.sender;
+}
+
+function applySenderAliases(rows, aliases = {}) {
+  for (const row of rows) {
+    const original = originalSenderOf(row);
+    const alias = aliases[original];
+    if (alias && alias !== original) {
+      row.originalSender = original;
+      row.sender = alias;
+    } else {
+      delete row.originalSender;
+      row.sender = original;
+    }
+  }
+}
+
+// Cleans a mapping sent by the client: trimmed names, no empty or identity entries
+function readSenderAliases(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { error: "Aliases must be an object of sender names to new names." };
+  }
+
+  const aliases = {};
+  for (const [name, alias] of Object.entries(raw)) {
+    if (typeof alias !== "string") return { error: `The new name for "${name}" must be a string.` };
+    const trimmed = alias.trim();
+    if (trimmed && trimmed !== name) aliases[name] = trimmed;
+  }
+  return { aliases };
+}
+
+// Every name found in the export with its message count and current alias
+function senderList(item) {
+  const counts = new Map();
+  for (const row of item.rows) {
+    const original = originalSenderOf(row);
+    if (original) counts.set(original, (counts.get(original) || 0) + 1);
+  }
+  return [...counts]
+    .map(([name, messages]) => ({ name, alias: (item.senderAliases || {})[name] || "", messages }))
+    .sort((a, b) => b.messages - a.messages);
+}
+
+// vCard 2.1 quoted-printable, as phones still write it for non-ASCII names
+function decodeQuotedPrintable(text) {
+  const bytes = [];
+  const source = text.replace(/=\r?\n/g, "");
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === "=" && /^[0-9A-F]{2}$/i.test(source.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(source.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(source[i]));
+    }
+  }
+  return Buffer.from(bytes).toString("utf8");
+}
+
+function unescapeVcard(text) {
+  return text.replace(/\\([,;:\\])/g, "$1").replace(/\\n/gi, " ").trim();
+}
+
+// Contacts of a .vcf file as [{name, phones}]. Folded lines are joined, FN is
+// preferred over N, and WhatsApp's waid= parameter counts as a number too.
+function parseVcf(text) {
+  const contacts = [];
+  const lines = text.replace(/\r\n/g, "\n").replace(/\n[ \t]/g, "").split("\n");
+  let card = null;
+
+  for (const line of lines) {
+    const colon = line.indexOf(":");
+    if (colon < 0) continue;
+    const [property, ...params] = line.slice(0, colon).split(";");
+    const key = property.replace(/^item\d+\./i, "").toUpperCase();
+    const quoted = params.some(p => /ENCODING=QUOTED-PRINTABLE/i.test(p));
+    const value = quoted ? decodeQuotedPrintable(line.slice(colon + 1)) : line.slice(colon + 1);
+
+    if (key === "BEGIN" && /^vcard$/i.test(value.trim())) {
+      card = { name: "", fallback: "", phones: [] };
+    } else if (key === "END" && card) {
+      const name = card.name || card.fallback;
+      if (name && card.phones.length) contacts.push({ name, phones: [...new Set(card.phones)] });
+      card = null;
+    } else if (card && key === "FN") {
+      card.name = unescapeVcard(value);
+    } else if (card && key === "N") {
+      // Family;Given;Middle;Prefix;Suffix
+      const [family, given, middle] = value.split(/(?<!\\);/).map(unescapeVcard);
+      card.fallback = [given, middle, family].filter(Boolean).join(" ");
+    } else if (card && key === "TEL") {
+      const waid = params.map(p => p.match(/^waid=(\d+)$/i)).find(Boolean);
+      if (waid) card.phones.push(waid[1]);
+      if (/\d/.test(value)) card.phones.push(value.trim());
+    }
+  }
+  return contacts;
+}
+
+function phoneDigits(text) {
+  return String(text).replace(/\D/g, "");
+}
+
+// Aliases for senders that are phone numbers found in the contacts. Numbers
+// match on all digits, or on the last nine when one side lacks the country code.
+function aliasesFromContacts(senders, contacts) {
+  const exact = new Map();
+  const suffixes = new Map();
+  for (const contact of contacts) {
+    for (const phone of contact.phones) {
+      const digits = phoneDigits(phone);
+      if (digits.length < 7) continue;
+      exact.set(digits, contact.name);
+      if (digits.length >= 9) {
+        const suffix = digits.slice(-9);
+        suffixes.set(suffix, suffixes.has(suffix) && suffixes.get(suffix) !== contact.name ? null : contact.name);
+      }
+    }
+  }
+
+  const aliases = {};
+  for (const sender of senders) {
+    if (!isPhoneNumber(sender) || /\p{L}/u.test(sender)) continue;
+    const digits = phoneDigits(sender);
+    const name = exact.get(digits) || (digits.length >= 9 ? suffixes.get(digits.slice(-9)) : null);
+    if (name) aliases[sender] = name;
+  }
+  return aliases;
+}
+
+/* -------------------- Redaction -------------------- */
+// Pseudonymized copies of rows for sharing. Senders become "Participant 1",
+// "Participant 2", ... in order of first appearance in the session (or a
+// salted hash), and the same pseudonyms replace their names inside messages.
+const REDACTION_MODES = ["numbered", "hash", "none"];
+const REDACTION_KEY_COLUMNS = ["name", "pseudonym"];
+
+// `redact` as sent by the client, either an object or its JSON. Returns
+// {options: null} when redaction is off.
+function readRedaction(raw) {
+  if (!raw || raw === "false") return { options: null };
+
+  let options = raw;
+  if (typeof raw === "string") {
+    try {
+      options = JSON.parse(raw);
+    } catch (e) {
+      return { error: "Redaction options must be valid JSON." };
+    }
+  }
+  if (options === true) options = {};
+  if (!options || typeof options !== "object") return { error: "Redaction options must be an object." };
+
+  const senders = options.senders || "numbered";
+  if (!REDACTION_MODES.includes(senders)) {
+    return { error: `Unknown sender redaction "${senders}". Use one of: ${REDACTION_MODES.join(", ")}.` };
+  }
+
+  return {
+    options: {
+      senders,
+      salt: options.salt ? String(options.salt) : "",
+      contacts: options.contacts !== false,
+      urls: options.urls !== false,
+      mediaNames: options.mediaNames === true,
+      names: options.names !== false,
+    },
+  };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function createRedactor(item, options) {
+  const salt = options.salt || item.redactionSalt || String(item.createdAt);
+  const pseudonyms = new Map();
+  const originals = new Map();
+  for (const row of item.rows) {
+    if (row.originalSender) originals.set(row.originalSender, row.sender);
+    if (!row.sender || pseudonyms.has(row.sender)) continue;
+    pseudonyms.set(row.sender, options.senders === "hash"
+      ? `Participant ${crypto.createHash("sha256").update(`${salt}:${row.sender}`).digest("hex").slice(0, 8)}`
+      : options.senders === "none" ? row.sender : `Participant ${pseudonyms.size + 1}`);
+  }
+
+  // Names are also matched by first name alone when no one else shares it
+  const aliases = new Map();
+  if (options.senders !== "none" && options.names) {
+    const firstNames = new Map();
+    for (const name of pseudonyms.keys()) {
+      const first = name.split(/\s+/)[0];
+      if (first !== name && first.length >= 3 && /\p{L}/u.test(first)) {
+        firstNames.set(first.toLowerCase(), firstNames.has(first.toLowerCase()) ? null : pseudonyms.get(name));
+      }
+    }
+    for (const [first, pseudonym] of firstNames) if (pseudonym) aliases.set(first, pseudonym);
+    // Names from before a sender alias was applied may still be in the text
+    for (const [original, sender] of originals) aliases.set(original.toLowerCase(), pseudonyms.get(sender));
+    for (const [name, pseudonym] of pseudonyms) aliases.set(name.toLowerCase(), pseudonym);
+  }
+  const namesRe = aliases.size
+    ? new RegExp(`(?<![\\p{L}\\p{N}_])(?:${[...aliases.keys()].sort((a, b) => b.length - a.length).map(escapeRegExp).join("|")})(?![\\p{L}\\p{N}_])`, "giu")
+    : null;
+
+  const replaceNames = text => namesRe && text ? text.replace(namesRe, match => aliases.get(match.toLowerCase())) : text;
+
+  function scrub(text, mediaFiles = []) {
+    if (!text) return text;
+    let result = text;
+    for (const file of mediaFiles) result = result.split(file).join("[file]");
+    if (options.urls) result = result.replace(URL_RE, match => `[link]${match.slice(trimUrl(match).length)}`);
+    if (options.contacts) {
+      result = result
+        .replace(EMAIL_RE, "[email]")
+        .replace(PHONE_RE, match => isPhoneNumber(match) ? match.replace(match.trim(), "[phone]") : match);
+    }
+    return replaceNames(result);
+  }
+
+  const mask = (value, placeholder) => value ? value.split("; ").map(() => placeholder).join("; ") : value;
+
+  function redactRow(row) {
+    const mediaFiles = options.mediaNames && row.mediaFiles ? row.mediaFiles.split("; ") : [];
+    const redacted = {
+      ...row,
+      sender: row.sender ? pseudonyms.get(row.sender) || replaceNames(row.sender) : row.sender,
+      message: scrub(row.message, mediaFiles),
+      chat: replaceNames(row.chat),
+      sourceFile: replaceNames(row.sourceFile),
+      mentions: row.mentions && row.mentions.split("; ")
+        .map(name => options.contacts && isPhoneNumber(name) ? "[phone]" : replaceNames(name))
+        .join("; "),
+    };
+
+    // Shared locations are map links, so their coordinates go with the links
+    if (options.urls) {
+      redacted.urls = mask(row.urls, "[link]");
+      redacted.domains = mask(row.domains, "[domain]");
+      if (row.latitude !== undefined) redacted.latitude = redacted.longitude = null;
+    }
+    if (options.contacts) {
+      redacted.emails = mask(row.emails, "[email]");
+      redacted.phones = mask(row.phones, "[phone]");
+    }
+    if (row.originalSender) redacted.originalSender = options.senders === "none" ? row.originalSender : redacted.sender;
+    if (row.contactName) redacted.contactName = options.contacts ? "[contact]" : replaceNames(row.contactName);
+    if (row.pollQuestion) redacted.pollQuestion = scrub(row.pollQuestion);
+    if (row.pollOptions) redacted.pollOptions = scrub(row.pollOptions);
+    if (options.mediaNames) {
+      redacted.mediaFiles = mask(row.mediaFiles, "[file]");
+      redacted.mediaPaths = mask(row.mediaPaths, "[file]");
+    }
+    return redacted;
+  }
+
+  const redactSender = name => name ? pseudonyms.get(name) || replaceNames(name) : name;
+
+  // Filters name the people and the text that was looked for
+  function redactFilters(filters) {
+    const redacted = { ...filters };
+    for (const key of ["sender", "excludeSenders", "chat", "keyword", "query", "regex", "domain"]) {
+      if (filters[key] === undefined) continue;
+      const redactValue = key === "sender" || key === "excludeSenders"
+        ? redactSender
+        : key === "domain" && options.urls ? () => "[domain]" : text => scrub(text);
+      redacted[key] = Array.isArray(filters[key])
+        ? filters[key].map(value => typeof value === "string" ? redactValue(value) : value)
+        : typeof filters[key] === "string" ? redactValue(filters[key]) : filters[key];
+    }
+    return redacted;
+  }
+
+  // The redacted preview offers pseudonyms and redacted chat names to filter
+  // by, so those are turned back into the real ones before filtering
+  const realSenders = new Map([...pseudonyms].map(([name, pseudonym]) => [pseudonym, name]));
+  const realChats = new Map();
+  for (const chat of new Set(item.rows.map(r => r.chat).filter(Boolean))) {
+    if (!realChats.has(replaceNames(chat))) realChats.set(replaceNames(chat), chat);
+  }
+  const realChat = name => realChats.get(name) || name;
+
+  function unredactFilters(filters) {
+    const real = { ...filters };
+    for (const [key, names] of [["sender", realSenders], ["excludeSenders", realSenders], ["chat", realChats]]) {
+      if (filters[key] !== undefined) real[key] = listOf(filters[key]).map(value => names.get(value) || value);
+    }
+    return real;
+  }
+
+  // Session details shown next to the rows: chat entries, parse notes and
+  // attachments that weren't found
+  const redactChat = chat => ({
+    ...chat,
+    name: replaceNames(chat.name),
+    sourceFile: replaceNames(chat.sourceFile),
+    ...(chat.sources && { sources: chat.sources.map(source => ({ ...source, file: replaceNames(source.file) })) }),
+  });
+  const redactFormat = format => ({ ...format, file: replaceNames(format.file) });
+  const redactMediaWarning = warning => ({
+    ...warning,
+    sender: redactSender(warning.sender),
+    file: options.mediaNames ? "[file]" : replaceNames(warning.file),
+  });
+
+  return {
+    redactRow,
+    redactFilters,
+    unredactFilters,
+    redactSender,
+    redactChat,
+    redactFormat,
+    redactMediaWarning,
+    realChat,
+    redactName: replaceNames,
+    key: [...pseudonyms, ...[...originals].map(([original, sender]) => [original, pseudonyms.get(sender)])]
+      .map(([name, pseudonym]) => ({ name, pseudonym })),
+  };
+}
+
+// Filtered rows for a request, redacted when `redact` is set. Also returns the
+// redactor so callers can redact rows they add afterwards.
+function requestRows(item, source) {
+  const { filters, error } = readFilters(source.filters);
+  if (error) return { error };
+  const redaction = readRedaction(source.redact);
+  if (redaction.error) return { error: redaction.error };
+
+  const redactor = redaction.options ? createRedactor(item, redaction.options) : null;
+  let rows;
+  try {
+    rows = filterRows(item.rows, redactor ? redactor.unredactFilters(filters) : filters);
+  } catch (err) {
+    return { error: err.message };
+  }
+  return { rows: redactor ? rows.map(redactor.redactRow) : rows, redactor };
+}
+
+// What a JSON envelope says about where its rows came from. Stats and row
+// counts are added per file by jsonChunks.
+function exportMeta(item, query, { columns, redactor }) {
+  const redactName = redactor ? redactor.redactName : name => name;
+  const filters = readFilters(query.filters).filters || {};
+  return {
+    source: baseNameOf(item, redactor),
+    exportedAt: new Date().toISOString(),
+    columns,
+    filters: redactor ? redactor.redactFilters(filters) : filters,
+    redacted: Boolean(redactor),
+    parseSettings: {
+      formats: item.formats.map(f => ({ ...f, file: redactName(f.file) })),
+      timezones: item.timezones,
+      conversationGapMinutes: gapMinutesOf(item.conversationGap),
+      senderAliases: redactor ? undefined : item.senderAliases,
+    },
+  };
+}
+
+// Download names come from the chat's file name, which often names someone
+function baseNameOf(item, redactor) {
+  const name = item.baseName || "chat";
+  return redactor ? redactor.redactName(name) : name;
+}
+
+/* -------------------- Output -------------------- */
+// Exports are built from generators of string pieces, so the same code can
+// produce a string (toCsv, toHtml) or stream to the response
+
+// Output options shared by CSV, Excel and HTML: header labels, date and time
+// patterns, and the CSV dialect. The defaults are the original CSV output:
+// every field quoted, \n line endings, no BOM.
+const CSV_QUOTING = ["all", "minimal", "nonnumeric"];
+const CSV_NEWLINES = ["keep", "escape", "flatten"];
+const DATE_FORMAT_TOKENS = /YYYY|YY|MM|M|DD|D|HH|H|hh|h|mm|ss|A/g;
+
+const OUTPUT_OPTION_KEYS = ["bom", "lineEnding", "quote", "newlines", "formulaGuard", "labels", "dateFormat", "timeFormat"];
+
+function readOutputOptions(query) {
+  const invalid = OUTPUT_OPTION_KEYS.find(key => query[key] !== undefined && typeof query[key] !== "string");
+  if (invalid) return { error: `"${invalid}" must be given once, as text.` };
+
+  const quoting = query.quote || "all";
+  if (!CSV_QUOTING.includes(quoting)) {
+    return { error: `Unknown quoting "${quoting}". Use all, minimal or nonnumeric.` };
   }
-  
-  if (filters.dateTo) {
-    filtered = filtered.filter(r => r.date <= filters.dateTo);
+  const newlines = query.newlines || "keep";
+  if (!CSV_NEWLINES.includes(newlines)) {
+    return { error: `Unknown newline handling "${newlines}". Use keep, escape or flatten.` };
   }
-  
-  if (filters.keyword) {
-    const keyword = filters.keyword.toLowerCase();
-    filtered = filtered.filter(r => 
-      r.message.toLowerCase().includes(keyword) || 
-      r.sender.toLowerCase().includes(keyword)
-    );
+  if (query.lineEnding && !["lf", "crlf"].includes(query.lineEnding)) {
+    return { error: 'Line ending must be "lf" or "crlf".' };
   }
-  
-  return filtered;
+
+  let labels = {};
+  if (query.labels) {
+    try {
+      labels = JSON.parse(query.labels);
+    } catch {
+      return { error: "Header labels must be a JSON object." };
+    }
+    if (!labels || typeof labels !== "object" || Array.isArray(labels)) {
+      return { error: "Header labels must be a JSON object." };
+    }
+  }
+
+  for (const key of ["dateFormat", "timeFormat"]) {
+    const pattern = query[key];
+    if (pattern && (pattern.length > 40 || !pattern.match(DATE_FORMAT_TOKENS))) {
+      return { error: `${key} "${pattern}" has no date or time tokens (YYYY, MM, DD, HH, mm, ss...).` };
+    }
+  }
+
+  return {
+    options: {
+      bom: query.bom === "true",
+      lineEnding: query.lineEnding === "crlf" ? "\r\n" : "\n",
+      quoting,
+      newlines,
+      formulaGuard: query.formulaGuard === "true",
+      labels: Object.fromEntries(Object.entries(labels)
+        .filter(([, label]) => typeof label === "string" && label.trim())
+        .map(([col, label]) => [col, label.trim()])),
+      dateFormat: query.dateFormat || "",
+      timeFormat: query.timeFormat || "",
+    },
+  };
+}
+
+function labelOf(col, options = {}) {
+  return (options.labels && options.labels[col]) || col;
+}
+
+// "DD/MM/YYYY", "h:mm A" and the like, filled in from an ISO date and time
+function formatDateTime(date, time, pattern) {
+  const [year, month, day] = (date || "0000-00-00").split("-").map(Number);
+  const [hours, minutes, seconds = 0] = (time || "00:00:00").split(":").map(Number);
+  const pad = n => String(n).padStart(2, "0");
+  const values = {
+    YYYY: String(year), YY: pad(year % 100), MM: pad(month), M: String(month), DD: pad(day), D: String(day),
+    HH: pad(hours), H: String(hours), hh: pad(hours % 12 || 12), h: String(hours % 12 || 12),
+    mm: pad(minutes), ss: pad(seconds), A: hours < 12 ? "AM" : "PM",
+  };
+  return pattern.replace(DATE_FORMAT_TOKENS, token => values[token]);
+}
+
+// A cell as text, with the date and time columns in the chosen patterns
+function formatValue(row, col, options = {}) {
+  const value = row[col] ?? "";
+  if (col === "date" && options.dateFormat && ISO_DATE_RE.test(value)) {
+    return formatDateTime(value, "", options.dateFormat);
+  }
+  if (col === "time" && options.timeFormat && ISO_TIME_RE.test(value)) {
+    return formatDateTime("", value, options.timeFormat);
+  }
+  return value;
+}
+
+// Spreadsheets run cells starting with = + - @ as formulas; a leading
+// apostrophe keeps them text
+function csvCell(value, delimiter, options = {}) {
+  const numeric = typeof value === "number" || typeof value === "boolean";
+  let text = String(value ?? "");
+  if (options.newlines === "escape") text = text.replace(/\\/g, "\\\\").replace(/\r?\n/g, "\\n");
+  else if (options.newlines === "flatten") text = text.replace(/\s*\r?\n\s*/g, " ");
+  if (options.formulaGuard && !numeric && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+  const quoting = options.quoting || "all";
+  if (quoting === "all" || (quoting === "nonnumeric" && !numeric) ||
+      text.includes(delimiter) || /["\r\n]/.test(text) || /^\s|\s$/.test(text)) {
+    return escapeCsv(text);
+  }
+  return text;
 }
 
-function toCsv(rows, columns = ["date", "time", "sender", "message"], delimiter = ",") {
-  const lines = [columns.map(escapeCsv).join(delimiter)];
+function* csvChunks(rows, columns = ["date", "time", "sender", "message"], delimiter = ",", options = {}) {
+  const newline = options.lineEnding || "\n";
+  if (options.bom) yield "\uFEFF";
+  yield columns.map(col => csvCell(labelOf(col, options), delimiter, options)).join(delimiter);
   
   for (const r of rows) {
-    const values = columns.map(col => r[col] ?? "");
-    lines.push(values.map(escapeCsv).join(delimiter));
+    const values = columns.map(col => formatValue(r, col, options));
+    yield newline + values.map(value => csvCell(value, delimiter, options)).join(delimiter);
+  }
+}
+
+function toCsv(rows, columns = ["date", "time", "sender", "message"], delimiter = ",", options = {}) {
+  return [...csvChunks(rows, columns, delimiter, options)].join("");
+}
+
+// Groups small string pieces into ~64KB chunks before they hit the socket
+function* inChunks(pieces, size = 64 * 1024) {
+  let buffer = "";
+  for (const piece of pieces) {
+    buffer += piece;
+    if (buffer.length >= size) {
+      yield buffer;
+      buffer = "";
+    }
+  }
+  if (buffer) yield buffer;
+}
+
+// The same for async generators, such as the transcript reading attachments
+async function* inChunksAsync(pieces, size = 64 * 1024) {
+  let buffer = "";
+  for await (const piece of pieces) {
+    buffer += piece;
+    if (buffer.length >= size) {
+      yield buffer;
+      buffer = "";
+    }
+  }
+  if (buffer) yield buffer;
+}
+
+// Excel sheet names: max 31 chars, no []:*?/\\ and unique per workbook
+function sheetNameOf(name, used) {
+  const base = (String(name).replace(/[\[\]:*?\/\\]/g, " ").trim() || "Chat").slice(0, 31);
+  let unique = base;
+  for (let n = 2; used.has(unique.toLowerCase()); n++) {
+    const suffix = ` (${n})`;
+    unique = base.slice(0, 31 - suffix.length) + suffix;
+  }
+  used.add(unique.toLowerCase());
+  return unique;
+}
+
+// Excel gets real date and time cells for the timestamp columns. Dates are
+// written as wall-clock values, since Excel cells have no time zone.
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const ISO_TIME_RE = /^(\d{2}):(\d{2})(?::(\d{2}))?$/;
+const EXCEL_DATETIME_FORMAT = "yyyy-mm-dd hh:mm:ss";
+
+function excelDate(value) {
+  return ISO_DATE_RE.test(value) ? new Date(`${value}T00:00:00Z`) : value;
+}
+
+function excelTime(value) {
+  const match = ISO_TIME_RE.exec(value);
+  return match ? (match[1] * 3600 + match[2] * 60 + (Number(match[3]) || 0)) / 86400 : value;
+}
+
+function excelDateTime(value) {
+  return value ? new Date(`${String(value).slice(0, 19)}Z`) : value;
+}
+
+const EXCEL_COLUMNS = {
+  date: { value: excelDate, numFmt: "yyyy-mm-dd", width: 12 },
+  time: { value: excelTime, numFmt: "hh:mm:ss", width: 10 },
+  datetime: { value: excelDateTime, numFmt: EXCEL_DATETIME_FORMAT, width: 20 },
+  timestampUtc: { value: excelDateTime, numFmt: EXCEL_DATETIME_FORMAT, width: 20 },
+  timestampLocal: { value: excelDateTime, numFmt: EXCEL_DATETIME_FORMAT, width: 20 },
+  message: { width: 60, wrap: true },
+  pollQuestion: { width: 40, wrap: true },
+};
+
+// Excel number format for a date/time pattern; separators stay as they are so
+// Excel can still tell minutes (after hours) from months
+const EXCEL_FORMAT_TOKENS = { YYYY: "yyyy", YY: "yy", MM: "mm", M: "m", DD: "dd", D: "d", HH: "hh", H: "h", hh: "hh", h: "h", mm: "mm", ss: "ss", A: "AM/PM" };
+
+function excelFormatOf(pattern) {
+  const literal = text => text.replace(/[^\s\/:.,-]+/g, part => `"${part.replace(/"/g, "")}"`);
+  let format = "";
+  let last = 0;
+  for (const match of pattern.matchAll(DATE_FORMAT_TOKENS)) {
+    format += literal(pattern.slice(last, match.index)) + EXCEL_FORMAT_TOKENS[match[0]];
+    last = match.index + match[0].length;
   }
-  return lines.join("\n");
+  return format + literal(pattern.slice(last));
+}
+
+// Widths come from the header and the first rows, as the streaming writer
+// needs them before any row is written
+function excelColumnsOf(rows, columns, options = {}) {
+  return columns.map(col => {
+    const known = { ...EXCEL_COLUMNS[col] };
+    const pattern = col === "date" ? options.dateFormat : col === "time" ? options.timeFormat : "";
+    if (pattern) {
+      known.numFmt = excelFormatOf(pattern);
+      known.width = Math.max(known.width, pattern.length + 2);
+    }
+    // A known width still makes room for a longer header label
+    let width = known.width && Math.max(known.width, Math.min(labelOf(col, options).length + 2, 50));
+    if (!width) {
+      width = labelOf(col, options).length;
+      for (let i = 0; i < rows.length && i < 500; i++) {
+        width = Math.max(width, String(rows[i][col] ?? "").length);
+      }
+      width = Math.min(Math.max(width + 2, 8), 50);
+    }
+    return {
+      width,
+      style: {
+        ...(known.numFmt && { numFmt: known.numFmt }),
+        ...(known.wrap && { alignment: { wrapText: true, vertical: "top" } }),
+      },
+    };
+  });
 }
 
-async function toExcel(rows, columns = ["date", "time", "sender", "message"]) {
-  const workbook = new ExcelJS.Workbook();
-  const worksheet = workbook.addWorksheet("WhatsApp Chat");
+function excelValueOf(row, col) {
+  const value = row[col];
+  if (value === undefined || value === null || value === "") return null;
+  return EXCEL_COLUMNS[col] && EXCEL_COLUMNS[col].value ? EXCEL_COLUMNS[col].value(value) : value;
+}
+
+// A sheet with a frozen, filterable header row
+function addRowsSheet(workbook, name, rows, columns, options = {}) {
+  const worksheet = workbook.addWorksheet(name, { views: [{ state: "frozen", ySplit: 1 }] });
+  
+  // The streaming writer needs column widths before the first row
+  worksheet.columns = excelColumnsOf(rows, columns, options);
   
   // Add headers
-  worksheet.addRow(columns);
+  const header = worksheet.addRow(columns.map(col => labelOf(col, options)));
   
   // Style headers
-  worksheet.getRow(1).font = { bold: true };
-  worksheet.getRow(1).fill = {
-    type: 'pattern',
-    pattern: 'solid',
-    fgColor: { argb: 'FF4F46E5' }
-  };
-  worksheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  header.eachCell(cell => {
+    cell.fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: 'FF4F46E5' }
+    };
+    cell.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+    cell.alignment = { vertical: "middle" };
+  });
+  header.commit();
   
   // Add data
   for (const row of rows) {
-    worksheet.addRow(columns.map(col => row[col] ?? ""));
+    worksheet.addRow(columns.map(col => excelValueOf(row, col))).commit();
   }
   
-  // Auto-size columns
-  worksheet.columns.forEach(column => {
-    column.width = 15;
-  });
+  worksheet.autoFilter = {
+    from: { row: 1, column: 1 },
+    to: { row: rows.length + 1, column: columns.length },
+  };
+  worksheet.commit();
+  return worksheet;
+}
+
+// The Summary sheet: one metric per row, from calculateStatistics
+function summaryRows(stats) {
+  const rows = [
+    { metric: "Messages", value: stats.totalMessages },
+    { metric: "System messages", value: stats.systemMessages },
+    { metric: "Senders", value: stats.uniqueSenders },
+    { metric: "First date", value: stats.dateRange.start || "" },
+    { metric: "Last date", value: stats.dateRange.end || "" },
+    { metric: "Words", value: stats.totalWords },
+    { metric: "Characters", value: stats.totalCharacters },
+    { metric: "Average message length", value: stats.averageMessageLength },
+    { metric: "Media", value: stats.mediaCount },
+    { metric: "Most active day", value: stats.mostActiveDayName },
+    { metric: "Most active hour", value: stats.mostActiveHourValue },
+    { metric: "Links", value: stats.links.urls },
+    { metric: "E-mail addresses", value: stats.links.emails },
+    { metric: "Phone numbers", value: stats.links.phones },
+    { metric: "Mentions", value: stats.links.mentions },
+  ];
+  for (const [type, count] of Object.entries(stats.messagesPerType)) {
+    rows.push({ metric: `Type: ${type}`, value: count });
+  }
+  for (const { domain, count } of stats.topDomains) {
+    rows.push({ metric: `Domain: ${domain}`, value: count });
+  }
+  return rows;
+}
+
+// Messages per `key` (date or hour) with a column for each of the busiest
+// senders; the rest are added up under "Others"
+function pivotOf(rows, key, topSenders = 20) {
+  const messages = rows.filter(r => r.messageType !== "system" && r[key]);
+  const counts = {};
+  for (const row of messages) counts[row.sender] = (counts[row.sender] || 0) + 1;
+  const ranked = Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+  const top = new Set(ranked.slice(0, topSenders));
+  const others = ranked.length > topSenders;
+
+  const buckets = new Map(key === "hour"
+    ? Array.from({ length: 24 }, (_, h) => [`${String(h).padStart(2, "0")}:00`, { [key]: `${String(h).padStart(2, "0")}:00`, total: 0 }])
+    : []);
+  for (const row of messages) {
+    if (!buckets.has(row[key])) buckets.set(row[key], { [key]: row[key], total: 0 });
+    const bucket = buckets.get(row[key]);
+    const column = top.has(row.sender) ? row.sender : "Others";
+    bucket[column] = (bucket[column] || 0) + 1;
+    bucket.total++;
+  }
+
+  const senders = [...top, ...(others ? ["Others"] : [])];
+  return {
+    rows: [...buckets.values()]
+      .sort((a, b) => a[key].localeCompare(b[key]))
+      .map(bucket => ({ ...Object.fromEntries(senders.map(s => [s, 0])), ...bucket })),
+    columns: [key, "total", ...senders],
+  };
+}
+
+// Summary, per-sender and pivot sheets that follow the messages in Excel exports
+function analysisSheets(rows, options = {}) {
+  return [
+    { name: "Summary", rows: summaryRows(calculateStatistics(rows, { perChat: false })), columns: ["metric", "value"] },
+    { name: "Senders", rows: calculateParticipants(rows, options), columns: PARTICIPANT_COLUMNS },
+    { name: "Per Day", ...pivotOf(rows, "date") },
+    { name: "Per Hour", ...pivotOf(rows, "hour") },
+  ];
+}
+
+// Writes the workbook to `stream` with ExcelJS's streaming writer, committing
+// rows as they are added
+async function writeExcel(stream, rows, columns = ["date", "time", "sender", "message"], options = {}) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+  const used = new Set();
+  let sheets = 0;
   
-  const buffer = await workbook.xlsx.writeBuffer();
-  return buffer;
+  if (options.splitByChat) {
+    for (const [chat, chatRows] of groupByChat(rows)) {
+      addRowsSheet(workbook, sheetNameOf(chat, used), chatRows, columns, options);
+      sheets++;
+    }
+  }
+  
+  if (!sheets) {
+    addRowsSheet(workbook, sheetNameOf("WhatsApp Chat", used), rows, columns, options);
+  }
+  
+  // Summary tables such as per-participant analytics go after the messages
+  for (const sheet of options.extraSheets || []) {
+    addRowsSheet(workbook, sheetNameOf(sheet.name, used), sheet.rows, sheet.columns, options);
+  }
+  
+  await workbook.commit();
+}
+
+// The picked columns of a row in their order, or the whole row without columns
+function pickColumns(row, columns) {
+  if (!columns) return row;
+  const picked = {};
+  for (const col of columns) picked[col] = row[col] ?? "";
+  return picked;
+}
+
+function toJson(rows, columns, options = {}) {
+  return [...jsonChunks(rows, columns, options)].join("");
+}
+
+// A JSON array of rows, one row at a time. With `options.envelope` (an object
+// of export metadata) the array becomes the `rows` of {meta, rows}, and the
+// meta gets the row count, chats, source files and stats of these rows.
+function* jsonChunks(rows, columns, options = {}) {
+  let indent = "";
+  if (options.envelope) {
+    const meta = {
+      ...options.envelope,
+      rowCount: rows.length,
+      chats: [...new Set(rows.map(r => r.chat).filter(Boolean))],
+      sourceFiles: [...new Set(rows.map(r => r.sourceFile).filter(Boolean))],
+      stats: calculateStatistics(rows, { perChat: false }),
+    };
+    yield `{\n  "meta": ${JSON.stringify(meta, null, 2).replace(/\n/g, "\n  ")},\n  "rows": `;
+    indent = "  ";
+  }
+
+  yield "[";
+  for (let i = 0; i < rows.length; i++) {
+    yield (i ? ",\n" : "\n") + JSON.stringify(pickColumns(rows[i], columns), null, 2).replace(/^/gm, `${indent}  `);
+  }
+  yield rows.length ? `\n${indent}]` : "]";
+  if (options.envelope) yield "\n}";
 }
 
-function toJson(rows) {
-  return JSON.stringify(rows, null, 2);
+// Newline-delimited JSON: one compact row per line, for pipelines
+function* ndjsonChunks(rows, columns) {
+  for (const row of rows) yield `${JSON.stringify(pickColumns(row, columns))}\n`;
 }
 
-function toHtml(rows, columns = ["date", "time", "sender", "message"]) {
-  let html = `
+// "[2024-05-01 09:00] Sender: text", close to WhatsApp's own layout so the
+// file can be uploaded again. Notices have no sender.
+function* textChunks(rows) {
+  for (const row of rows) {
+    const stamp = `[${row.date} ${(row.time || "").slice(0, 5)}]`;
+    const text = `${row.message}${row.edited ? " <This message was edited>" : ""}`;
+    yield row.sender && row.messageType !== "system"
+      ? `${stamp} ${row.sender}: ${text}\n`
+      : `${stamp} ${text}\n`;
+  }
+}
+
+// Markdown characters are escaped outside links, so URLs stay clickable
+function escapeMarkdown(text) {
+  const escape = part => part.replace(/[\\`*_[\]<>#|~]/g, "\\$&");
+  let result = "";
+  let last = 0;
+  for (const match of String(text ?? "").matchAll(URL_RE)) {
+    result += escape(text.slice(last, match.index)) + match[0];
+    last = match.index + match[0].length;
+  }
+  return result + escape(String(text ?? "").slice(last));
+}
+
+// A heading per chat and per day, then one list item per message
+function* markdownChunks(rows, options = {}) {
+  const chats = [...new Set(rows.map(r => r.chat))];
+  const dates = rows.map(r => r.date).filter(Boolean);
+  yield `# ${escapeMarkdown(chats.length === 1 && chats[0] ? chats[0] : options.title || "WhatsApp Chat")}\n\n`;
+  yield `_${rows.length} messages${dates.length ? `, ${dates[0]} – ${dates[dates.length - 1]}` : ""}_\n`;
+
+  let chat = null;
+  let date = null;
+  for (const row of rows) {
+    if (chats.length > 1 && row.chat !== chat) {
+      chat = row.chat;
+      date = null;
+      yield `\n## ${escapeMarkdown(chat)}\n`;
+    }
+    if (row.date !== date) {
+      date = row.date;
+      yield `\n${chats.length > 1 ? "###" : "##"} ${[row.dayOfWeek, row.date].filter(Boolean).join(", ")}\n\n`;
+    }
+
+    const time = (row.time || "").slice(0, 5);
+    // Continuation lines are indented to stay inside the list item
+    const text = escapeMarkdown(row.message).replace(/\n/g, "\n  ");
+    yield row.sender && row.messageType !== "system"
+      ? `- **${time} ${escapeMarkdown(row.sender)}:** ${text}${row.edited ? " _(edited)_" : ""}\n`
+      : `- _${time} ${text}_\n`;
+  }
+}
+
+function* htmlChunks(rows, columns = ["date", "time", "sender", "message"], options = {}) {
+  yield `
     <!DOCTYPE html>
     <html>
     <head>
@@ -292,102 +2792,680 @@ function toHtml(rows, columns = ["date", "time", "sender", "message"]) {
       <h1>WhatsApp Chat Export</h1>
       <table>
         <thead>
-          <tr>${columns.map(c => `<th>${c}</th>`).join("")}</tr>
+          <tr>${columns.map(c => `<th>${escapeHtml(labelOf(c, options))}</th>`).join("")}</tr>
         </thead>
         <tbody>
   `;
   
   for (const row of rows) {
-    html += `<tr>${columns.map(col => `<td>${String(row[col] ?? "").replace(/</g, "&lt;").replace(/>/g, "&gt;")}</td>`).join("")}</tr>`;
+    yield `<tr>${columns.map(col => `<td>${escapeHtml(formatValue(row, col, options))}</td>`).join("")}</tr>`;
   }
   
-  html += `
+  yield `
         </tbody>
       </table>
     </body>
     </html>
   `;
-  
-  return html;
 }
 
-function parseWhatsAppTxt(text) {
-  const lines = text.replace(/\r\n/g, "\n").split("\n");
-  const rows = [];
+function toHtml(rows, columns = ["date", "time", "sender", "message"], options = {}) {
+  return [...htmlChunks(rows, columns, options)].join("");
+}
+
+/* -------------------- Transcript -------------------- */
+// The chat as a single offline HTML page: bubbles per sender, day separators
+// and inline attachments, with search and a sender filter that run in the page.
+// Attachments are embedded as data URIs, up to TRANSCRIPT_EMBED_MB each.
+const TRANSCRIPT_EMBED_MB = parseInt(process.env.TRANSCRIPT_EMBED_MB) || 25;
+const TRANSCRIPT_COLORS = ["#4f46e5", "#16a34a", "#d97706", "#dc2626", "#0891b2", "#9333ea", "#db2777", "#65a30d", "#0d9488", "#ea580c"];
+
+const TRANSCRIPT_STYLE = `
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 14px/1.45 system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; background: #efeae2; color: #111b21; }
+  header { position: sticky; top: 0; z-index: 1; padding: 12px 16px; background: #075e54; color: #fff; }
+  header h1 { margin: 0 0 4px; font-size: 18px; }
+  header p { margin: 0 0 8px; font-size: 12px; opacity: 0.85; }
+  .tools { display: flex; flex-wrap: wrap; gap: 8px; align-items: center; font-size: 12px; }
+  .tools input, .tools select { padding: 6px 8px; border: 0; border-radius: 6px; font: inherit; }
+  .tools input { flex: 1; min-width: 160px; }
+  main { display: flex; flex-direction: column; gap: 4px; max-width: 900px; margin: 0 auto; padding: 16px; }
+  [hidden] { display: none !important; }
+  .chat { margin: 16px 0 4px; font-size: 16px; text-align: center; }
+  .day, .system { align-self: center; margin: 8px 0; padding: 4px 10px; border-radius: 8px; background: #fff8d6; font-size: 12px; color: #54656f; text-align: center; }
+  .day { background: #e1f2fb; }
+  .msg { display: flex; }
+  .msg.right { justify-content: flex-end; }
+  .bubble { max-width: 75%; padding: 6px 10px; border-radius: 8px; background: #fff; box-shadow: 0 1px 1px rgba(0, 0, 0, 0.12); white-space: pre-wrap; overflow-wrap: anywhere; }
+  .right .bubble { background: #d9fdd3; }
+  .who { font-size: 12px; font-weight: 600; }
+  .meta { font-size: 11px; color: #667781; text-align: right; }
+  .note { font-style: italic; color: #667781; }
+  .media img, .media video { display: block; max-width: 100%; max-height: 360px; margin: 4px 0; border-radius: 6px; }
+  .media audio { display: block; margin: 4px 0; }
+  .media a { display: block; margin: 4px 0; }
+  mark { background: #ffe066; }
+`;
+
+const TRANSCRIPT_SCRIPT = `
+  const items = [...document.querySelectorAll(".msg, .system")];
+  const search = document.getElementById("search");
+  const sender = document.getElementById("sender");
+  const right = document.getElementById("right");
+  const count = document.getElementById("count");
+
+  function update() {
+    const query = search.value.trim().toLowerCase();
+    let shown = 0;
+    for (const item of items) {
+      const visible = (!sender.value || item.dataset.sender === sender.value) &&
+        (!query || item.textContent.toLowerCase().includes(query));
+      item.hidden = !visible;
+      if (visible) shown++;
+    }
+    // Day separators are only shown above messages that are
+    for (const day of document.querySelectorAll(".day, .chat")) {
+      let next = day.nextElementSibling;
+      while (next && next.hidden && !next.matches(".day, .chat")) next = next.nextElementSibling;
+      day.hidden = !next || next.matches(".day, .chat");
+    }
+    count.textContent = shown + " of " + items.length + " messages";
+  }
+
+  function align() {
+    for (const item of document.querySelectorAll(".msg")) {
+      item.classList.toggle("right", item.dataset.sender === right.value);
+    }
+  }
+
+  search.addEventListener("input", update);
+  sender.addEventListener("change", update);
+  right.addEventListener("change", align);
+  align();
+  update();
+`;
+
+function transcriptLinks(html) {
+  return html.replace(/\bhttps?:\/\/[^\s<>"']+/g, url => {
+    const trimmed = trimUrl(url);
+    return `<a href="${trimmed}" rel="noopener noreferrer">${trimmed}</a>${url.slice(trimmed.length)}`;
+  });
+}
+
+// An attachment as an inline element, or its name when it isn't in the session
+async function transcriptMedia(mediaPath, media) {
+  const file = media.get(mediaPath);
+  const name = escapeHtml(path.basename(mediaPath));
+  if (!file) return `<span class="note">${name}</span>`;
+  if (file.size > TRANSCRIPT_EMBED_MB * 1024 * 1024) {
+    return `<span class="note">${name} (${(file.size / 1024 / 1024).toFixed(1)} MB, not embedded)</span>`;
+  }
+
+  const src = `data:${file.mime};base64,${(await fs.promises.readFile(file.path)).toString("base64")}`;
+  if (file.mime.startsWith("image/")) return `<img src="${src}" alt="${name}" loading="lazy">`;
+  if (file.mime.startsWith("video/")) return `<video src="${src}" controls preload="none"></video>`;
+  if (file.mime.startsWith("audio/")) return `<audio src="${src}" controls preload="none"></audio>`;
+  return `<a href="${src}" download="${name}">${name}</a>`;
+}
+
+// `options.media` is the session's attachment index; `options.me` names the
+// sender whose bubbles start on the right
+async function* transcriptChunks(rows, options = {}) {
+  const media = mediaByPath(options.media);
+  const senders = [];
+  const senderIndex = new Map();
+  const chats = new Set();
+  for (const row of rows) {
+    chats.add(row.chat);
+    if (row.sender && row.messageType !== "system" && !senderIndex.has(row.sender)) {
+      senderIndex.set(row.sender, senders.length);
+      senders.push(row.sender);
+    }
+  }
+
+  const title = chats.size === 1 && [...chats][0] ? [...chats][0] : options.title || "WhatsApp Chat";
+  const dates = rows.map(r => r.date).filter(Boolean);
+  const range = dates.length ? `${dates[0]} – ${dates[dates.length - 1]}` : "";
+  const me = senderIndex.has(options.me) ? senderIndex.get(options.me) : "";
+  const senderOptions = senders.map((name, i) => `<option value="${i}">${escapeHtml(name)}</option>`).join("");
+
+  yield `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${TRANSCRIPT_STYLE}</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(title)}</h1>
+<p>${rows.length.toLocaleString("en")} messages${range ? ` · ${range}` : ""} · ${senders.length} senders</p>
+<div class="tools">
+<input id="search" type="search" placeholder="Search messages">
+<select id="sender"><option value="">All senders</option>${senderOptions}</select>
+<label>Right side <select id="right"><option value="">Nobody</option>${senderOptions.replace(`value="${me}">`, `value="${me}" selected>`)}</select></label>
+<span id="count"></span>
+</div>
+</header>
+<main>
+`;
+
+  let chat = null;
+  let date = null;
+  for (const row of rows) {
+    if (chats.size > 1 && row.chat !== chat) {
+      chat = row.chat;
+      date = null;
+      yield `<h2 class="chat">${escapeHtml(chat)}</h2>\n`;
+    }
+    if (row.date !== date) {
+      date = row.date;
+      yield `<div class="day">${escapeHtml([row.dayOfWeek, row.date].filter(Boolean).join(", "))}</div>\n`;
+    }
+
+    const time = escapeHtml((row.time || "").slice(0, 5));
+    if (row.messageType === "system" || !row.sender) {
+      yield `<div class="system" data-sender="">${escapeHtml(row.message)}${time ? ` · ${time}` : ""}</div>\n`;
+      continue;
+    }
 
-  function normalizeLine(s) {
-    return s
-      .replace(/\u202F/g, " ")
-      .replace(/[\u200E\u200F\u202A-\u202E\u2066-\u2069\uFEFF]/g, "")
-      .trimEnd();
+    const index = senderIndex.get(row.sender);
+    let attachments = "";
+    for (const mediaPath of row.mediaPaths ? row.mediaPaths.split("; ") : []) {
+      attachments += await transcriptMedia(mediaPath, media);
+    }
+    // Attachment markers are left out where the attachment itself is shown
+    const message = attachments
+      ? row.message.replace(/<attached:\s*[^>]+>/gi, "").replace(/^.+?\.\w{2,5}\s*\(file attached\)/gim, "").trim()
+      : row.message;
+    const text = row.messageType === "media_omitted" ? `<span class="note">Media omitted</span>`
+      : row.messageType === "deleted" ? `<span class="note">${escapeHtml(message)}</span>`
+      : transcriptLinks(escapeHtml(message));
+
+    yield `<div class="msg" data-sender="${index}"><div class="bubble">` +
+      `<div class="who" style="color:${TRANSCRIPT_COLORS[index % TRANSCRIPT_COLORS.length]}">${escapeHtml(row.sender)}</div>` +
+      `<div class="text">${text}</div>${attachments ? `<div class="media">${attachments}</div>` : ""}` +
+      `<div class="meta">${row.edited ? "edited · " : ""}${time}</div></div></div>\n`;
+  }
+
+  yield `</main>
+<script>${TRANSCRIPT_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+/* -------------------- SQL -------------------- */
+// Normalized senders, messages and media tables, written either as a SQL
+// script for one of SQL_DIALECTS or as a ready-made SQLite file. Timestamps
+// are stored in UTC; local_date and local_time are in the export's output zone.
+const SQL_DIALECTS = {
+  sqlite: {
+    types: { id: "INTEGER", int: "INTEGER", bigint: "INTEGER", real: "REAL", text: "TEXT", timestamp: "TEXT", date: "TEXT", time: "TEXT", bool: "INTEGER" },
+    begin: "BEGIN TRANSACTION;",
+    boolean: value => value ? "1" : "0",
+    timestamp: value => `${value.slice(0, 10)} ${value.slice(11, 19)}`,
+  },
+  postgres: {
+    types: { id: "INTEGER", int: "INTEGER", bigint: "BIGINT", real: "DOUBLE PRECISION", text: "TEXT", timestamp: "TIMESTAMPTZ", date: "DATE", time: "TIME", bool: "BOOLEAN" },
+    begin: "BEGIN;",
+    boolean: value => value ? "TRUE" : "FALSE",
+    timestamp: value => `${value.slice(0, 19)}Z`,
+  },
+  mysql: {
+    types: { id: "INT", int: "INT", bigint: "BIGINT", real: "DOUBLE", text: "LONGTEXT", timestamp: "DATETIME", date: "DATE", time: "TIME", bool: "BOOLEAN" },
+    begin: "START TRANSACTION;",
+    boolean: value => value ? "TRUE" : "FALSE",
+    timestamp: value => `${value.slice(0, 10)} ${value.slice(11, 19)}`,
+    // MySQL reads backslashes in strings as escapes unless told otherwise
+    escapeBackslashes: true,
+    tableOptions: " DEFAULT CHARSET=utf8mb4",
+  },
+};
+SQL_DIALECTS.postgresql = SQL_DIALECTS.postgres;
+
+const SQL_TABLES = [
+  {
+    name: "senders",
+    columns: [
+      { name: "id", type: "id", constraint: "PRIMARY KEY" },
+      { name: "name", type: "text", constraint: "NOT NULL" },
+    ],
+  },
+  {
+    name: "messages",
+    columns: [
+      { name: "id", type: "id", constraint: "PRIMARY KEY" },
+      { name: "chat", type: "text" },
+      { name: "source_file", type: "text" },
+      { name: "sender_id", type: "int", constraint: "REFERENCES senders(id)" },
+      { name: "sent_at", type: "timestamp" },
+      { name: "local_date", type: "date" },
+      { name: "local_time", type: "time" },
+      { name: "timezone", type: "text" },
+      { name: "epoch", type: "bigint" },
+      { name: "message", type: "text" },
+      { name: "message_type", type: "text" },
+      { name: "system_event", type: "text" },
+      { name: "edited", type: "bool" },
+      { name: "message_length", type: "int" },
+      { name: "word_count", type: "int" },
+      { name: "media_count", type: "int" },
+      { name: "link_count", type: "int" },
+      { name: "urls", type: "text" },
+      { name: "emails", type: "text" },
+      { name: "phones", type: "text" },
+      { name: "mentions", type: "text" },
+      { name: "poll_question", type: "text" },
+      { name: "poll_options", type: "text" },
+      { name: "contact_name", type: "text" },
+      { name: "latitude", type: "real" },
+      { name: "longitude", type: "real" },
+      { name: "conversation_id", type: "int" },
+      { name: "is_match", type: "bool" },
+    ],
+  },
+  {
+    name: "media",
+    columns: [
+      { name: "id", type: "id", constraint: "PRIMARY KEY" },
+      { name: "message_id", type: "int", constraint: "REFERENCES messages(id)" },
+      { name: "file_name", type: "text" },
+      { name: "path", type: "text" },
+      { name: "mime_type", type: "text" },
+      { name: "size", type: "bigint" },
+      { name: "sha256", type: "text" },
+    ],
+  },
+];
+
+const SQL_INDEXES = [
+  "CREATE INDEX idx_messages_sent_at ON messages (sent_at);",
+  "CREATE INDEX idx_messages_sender_id ON messages (sender_id);",
+  "CREATE INDEX idx_media_message_id ON media (message_id);",
+];
+
+const SQL_BATCH_SIZE = 500;
+
+// Rows of every table as arrays in SQL_TABLES column order
+function* sqlRecords(rows) {
+  const senders = new Map();
+  let mediaId = 0;
+
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i];
+    if (row.sender && !senders.has(row.sender)) {
+      senders.set(row.sender, senders.size + 1);
+      yield ["senders", [senders.size, row.sender]];
+    }
+
+    const id = i + 1;
+    yield ["messages", [
+      id,
+      row.chat,
+      row.sourceFile,
+      row.sender ? senders.get(row.sender) : null,
+      row.datetime || null,
+      ISO_DATE_RE.test(row.date) ? row.date : null,
+      ISO_TIME_RE.test(row.time) ? row.time : null,
+      row.timezone,
+      row.epoch,
+      row.message,
+      row.messageType,
+      row.systemEvent,
+      Boolean(row.edited),
+      row.messageLength,
+      row.wordCount,
+      row.mediaCount,
+      row.linkCount,
+      row.urls,
+      row.emails,
+      row.phones,
+      row.mentions,
+      row.pollQuestion,
+      row.pollOptions,
+      row.contactName,
+      row.latitude,
+      row.longitude,
+      row.conversationId,
+      row.isMatch,
+    ]];
+
+    // Attachments found in the archive come with their details
+    const paths = row.mediaPaths ? row.mediaPaths.split("; ") : [];
+    const types = row.mediaTypes ? row.mediaTypes.split("; ") : [];
+    const sizes = row.mediaSizes ? row.mediaSizes.split("; ") : [];
+    const hashes = row.mediaHashes ? row.mediaHashes.split("; ") : [];
+    for (const name of row.mediaFiles ? row.mediaFiles.split("; ") : []) {
+      const found = paths.findIndex(p => path.basename(p) === path.basename(name.trim()));
+      yield ["media", [
+        ++mediaId,
+        id,
+        name,
+        found >= 0 ? paths[found] : null,
+        found >= 0 ? types[found] : null,
+        found >= 0 ? Number(sizes[found]) : null,
+        found >= 0 ? hashes[found] : null,
+      ]];
+    }
+  }
+}
+
+function sqlLiteral(value, type, dialect) {
+  if (value === undefined || value === null || value === "") return "NULL";
+  if (type === "bool") return dialect.boolean(value);
+  if (typeof value === "number") return Number.isFinite(value) ? String(value) : "NULL";
+  let text = String(type === "timestamp" ? dialect.timestamp(value) : value).replace(/\u0000/g, "");
+  if (dialect.escapeBackslashes) text = text.replace(/\\/g, "\\\\");
+  return `'${text.replace(/'/g, "''")}'`;
+}
+
+function sqlCreateTable(table, dialect) {
+  const columns = table.columns.map(c => `  ${c.name} ${dialect.types[c.type]}${c.constraint ? ` ${c.constraint}` : ""}`);
+  return `CREATE TABLE ${table.name} (\n${columns.join(",\n")}\n)${dialect.tableOptions || ""};\n`;
+}
+
+// The script, with INSERTs batched per table. Rows of one table are grouped
+// so that senders exist before the messages that refer to them.
+function* sqlChunks(rows, dialectName = "sqlite") {
+  const dialect = SQL_DIALECTS[dialectName] || SQL_DIALECTS.sqlite;
+  const tables = new Map(SQL_TABLES.map(t => [t.name, t]));
+  yield `-- WhatsApp chat export, ${rows.length} messages. Timestamps in sent_at are UTC.\n`;
+  yield `${dialect.begin}\n\n`;
+  for (const table of SQL_TABLES) yield `${sqlCreateTable(table, dialect)}\n`;
+
+  const pending = new Map(SQL_TABLES.map(t => [t.name, []]));
+  function* flush(name) {
+    const values = pending.get(name);
+    if (!values.length) return;
+    const columns = tables.get(name).columns.map(c => c.name).join(", ");
+    yield `INSERT INTO ${name} (${columns}) VALUES\n${values.join(",\n")};\n`;
+    pending.set(name, []);
   }
 
-  const bracketTimeDateRe =
-    /^\[(\d{1,2}:\d{2}(?::\d{2})?\s*(?:a\.?m\.?|p\.?m\.?|am|pm)?)\s*,\s*(\d{4}-\d{2}-\d{2})\]\s*(.*)$/i;
+  // Senders are flushed before every batch of messages, messages before media
+  for (const [name, record] of sqlRecords(rows)) {
+    const types = tables.get(name).columns.map(c => c.type);
+    pending.get(name).push(`(${record.map((value, i) => sqlLiteral(value, types[i], dialect)).join(", ")})`);
+    if (pending.get(name).length >= SQL_BATCH_SIZE) {
+      if (name !== "senders") yield* flush("senders");
+      if (name === "media") yield* flush("messages");
+      yield* flush(name);
+    }
+  }
+  for (const table of SQL_TABLES) yield* flush(table.name);
+
+  yield `\n${SQL_INDEXES.join("\n")}\n\nCOMMIT;\n`;
+}
+
+// sql.js loads its WebAssembly once, on the first SQLite export
+let sqlJs = null;
+
+async function toSqlite(rows) {
+  sqlJs = sqlJs || initSqlJs();
+  const SQL = await sqlJs;
+  const db = new SQL.Database();
+  const dialect = SQL_DIALECTS.sqlite;
+
+  try {
+    db.run("BEGIN TRANSACTION;");
+    for (const table of SQL_TABLES) db.run(sqlCreateTable(table, dialect));
 
-  const bracketDateTimeRe =
-    /^\[(\d{4}-\d{2}-\d{2})\s*,\s*(\d{1,2}:\d{2}(?::\d{2})?\s*(?:a\.?m\.?|p\.?m\.?|am|pm)?)\]\s*(.*)$/i;
+    const statements = new Map(SQL_TABLES.map(table => [table.name, {
+      types: table.columns.map(c => c.type),
+      statement: db.prepare(`INSERT INTO ${table.name} VALUES (${table.columns.map(() => "?").join(", ")})`),
+    }]));
+    for (const [name, record] of sqlRecords(rows)) {
+      const { types, statement } = statements.get(name);
+      statement.run(record.map((value, i) => {
+        if (value === undefined || value === "") return null;
+        if (types[i] === "bool") return value === null ? null : value ? 1 : 0;
+        if (types[i] === "timestamp" && value) return dialect.timestamp(value);
+        return typeof value === "number" && !Number.isFinite(value) ? null : value;
+      }));
+    }
+    for (const { statement } of statements.values()) statement.free();
 
-  const dashRe =
-    /^(\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4}),\s*(\d{1,2}:\d{2}(?::\d{2})?\s*(?:a\.?m\.?|p\.?m\.?|am|pm)?)\s*-\s*(.*)$/i;
+    for (const index of SQL_INDEXES) db.run(index);
+    db.run("COMMIT;");
+    return Buffer.from(db.export());
+  } finally {
+    db.close();
+  }
+}
 
-  for (let raw of lines) {
-    if (!raw.trim()) continue;
+/* -------------------- Parser -------------------- */
+function normalizeLine(s) {
+  return s
+    .replace(/[\u202F\u00A0]/g, " ")
+    .replace(/[\u200E\u200F\u202A-\u202E\u2066-\u2069\uFEFF]/g, "")
+    .trimEnd();
+}
 
-    const line = normalizeLine(raw);
+// Line-by-line parser behind parseChatStream. The first lines are held back
+// until the header layout is known, and rows are enriched at the end, once
+// the whole file has shown which date order it uses.
+function createChatParser(options = {}) {
+  const formats = COMPILED_LINE_FORMATS.concat((options.lineFormats || []).map(compileLineFormat));
+  const sampleSize = 200;
+  const sample = [];
+  const rows = [];
+  const dates = [];
+  let detected;
 
-    let date = "";
-    let time = "";
-    let rest = "";
+  function addLine(line) {
+    const m = matchLine(line, detected.format);
 
-    let m = line.match(bracketTimeDateRe);
     if (m) {
-      time = m[1].trim();
-      date = m[2].trim();
-      rest = m[3];
+      const rest = m.rest;
+      // A colon inside a notice (e.g. a new group subject) is not a sender separator
+      let idx = rest.indexOf(":");
+      if (idx !== -1 && systemEventOf(rest.slice(0, idx), false)) idx = -1;
+      let sender = "";
+      let message = rest;
+
+      if (idx !== -1) {
+        sender = rest.slice(0, idx).trim();
+        message = rest.slice(idx + 1).trimStart();
+      } else {
+        sender = "";
+        message = rest.trim();
+      }
+
+      const date = m.date.trim();
+      if (dates[dates.length - 1] !== date) dates.push(date);
+      rows.push({ date, time: m.time.trim(), sender, message });
     } else {
-      m = line.match(bracketDateTimeRe);
-      if (m) {
-        date = m[1].trim();
-        time = m[2].trim();
-        rest = m[3];
+      if (rows.length > 0) {
+        rows[rows.length - 1].message += "\n" + line;
       } else {
-        m = line.match(dashRe);
-        if (m) {
-          date = m[1].trim();
-          time = m[2].trim();
-          rest = m[3];
-        }
+        rows.push({ date: "", time: "", sender: "", message: line });
       }
     }
+  }
 
-    if (m) {
-      const idx = rest.indexOf(":");
-      let sender = "";
-      let message = rest;
+  function detect() {
+    detected = detectLineFormat(sample, formats, sampleSize);
+    if (detected) sample.forEach(addLine);
+    sample.length = 0;
+  }
+
+  return {
+    push(raw) {
+      const line = normalizeLine(raw);
+      if (!line.trim()) return;
+
+      if (detected === undefined) {
+        sample.push(line);
+        if (sample.length >= sampleSize) detect();
+      } else if (detected) {
+        addLine(line);
+      }
+    },
+
+    end() {
+      if (detected === undefined) detect();
+
+      // Nothing looks like a message header, so this isn't a chat export
+      if (!detected) {
+        return { rows: [], dateFormat: null, lineFormat: null };
+      }
+
+      const dateFormat = DATE_ORDERS[options.dateOrder]
+        ? { order: options.dateOrder, confidence: "high", source: "override" }
+        : detectDateOrder(dates);
+      dateFormat.pattern = DATE_ORDERS[dateFormat.order];
+
+      for (let i = 0; i < rows.length; i++) {
+        rows[i] = enrichRow(rows[i], {
+          dateOrder: dateFormat.order,
+          sourceTimezone: options.sourceTimezone,
+          outputTimezone: options.outputTimezone,
+        });
+      }
+
+      return {
+        rows,
+        dateFormat,
+        lineFormat: {
+          id: detected.id,
+          example: detected.format.example,
+          matched: detected.matched,
+          sampled: detected.sampled,
+        },
+      };
+    },
+  };
+}
+
+async function parseChatStream(stream, options = {}) {
+  const parser = createChatParser(options);
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  for await (const line of lines) {
+    parser.push(line);
+  }
+  return parser.end();
+}
+
+/* -------------------- Export -------------------- */
+const EXPORT_FORMATS = {
+  csv: { extension: "csv", contentType: "text/csv" },
+  json: { extension: "json", contentType: "application/json" },
+  excel: { extension: "xlsx", contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" },
+  html: { extension: "html", contentType: "text/html" },
+  transcript: { extension: "html", contentType: "text/html" },
+  ndjson: { extension: "ndjson", contentType: "application/x-ndjson" },
+  markdown: { extension: "md", contentType: "text/markdown" },
+  text: { extension: "txt", contentType: "text/plain" },
+  sql: { extension: "sql", contentType: "application/sql" },
+  sqlite: { extension: "sqlite", contentType: "application/vnd.sqlite3" },
+};
+EXPORT_FORMATS.xlsx = EXPORT_FORMATS.excel;
+
+function exportFormatOf(format) {
+  return EXPORT_FORMATS[format] || EXPORT_FORMATS.csv;
+}
+
+// Readable stream of the export; nothing is generated until it is read
+function renderExport(format, rows, columns, delimiter, options = {}) {
+  const { extension } = exportFormatOf(format);
+  
+  if (format === "transcript") {
+    return Readable.from(inChunksAsync(transcriptChunks(rows, options)));
+  }
+  
+  switch (extension) {
+    case "json":
+      return Readable.from(inChunks(jsonChunks(rows, columns, options)));
+    
+    case "ndjson":
+      return Readable.from(inChunks(ndjsonChunks(rows, columns)));
+    
+    case "md":
+      return Readable.from(inChunks(markdownChunks(rows, options)));
+    
+    case "txt":
+      return Readable.from(inChunks(textChunks(rows)));
+    
+    case "xlsx": {
+      const stream = new PassThrough();
+      writeExcel(stream, rows, columns, options).catch(err => stream.destroy(err));
+      return stream;
+    }
+    
+    case "html":
+      return Readable.from(inChunks(htmlChunks(rows, columns, options)));
+    
+    case "sql":
+      return Readable.from(inChunks(sqlChunks(rows, options.dialect)));
+    
+    case "sqlite": {
+      const stream = new PassThrough();
+      toSqlite(rows).then(buffer => stream.end(buffer), err => stream.destroy(err));
+      return stream;
+    }
+    
+    case "csv":
+    default:
+      return Readable.from(inChunks(csvChunks(rows, columns, delimiter, options)));
+  }
+}
+
+// Filesystem-safe name for a file inside a download
+function safeFileName(name) {
+  return String(name).replace(/[\/\\:*?"<>|]+/g, "_").trim() || "chat";
+}
 
-      if (idx !== -1) {
-        sender = rest.slice(0, idx).trim();
-        message = rest.slice(idx + 1).trimStart();
-      } else {
-        sender = "";
-        message = rest.trim();
-      }
+// One export file per chat, for formats that can't hold several chats in one file
+function renderPerChat(format, rows, columns, delimiter, options = {}) {
+  const { extension } = exportFormatOf(format);
+  return [...groupByChat(rows)].map(([chat, chatRows]) => ({
+    filename: `${safeFileName(chat)}.${extension}`,
+    stream: renderExport(format, chatRows, columns, delimiter, options),
+  }));
+}
 
-      rows.push({ date, time, sender, message });
-    } else {
-      if (rows.length > 0) {
-        rows[rows.length - 1].message += "\n" + line;
-      } else {
-        rows.push({ date: "", time: "", sender: "", message: line });
+// Streamed ZIP holding the export file(s), plus a media/ folder with every
+// file the rows link to
+function toZip(files, rows, media) {
+  const zip = new yazl.ZipFile();
+  for (const { filename, stream } of files) {
+    zip.addReadStream(stream, filename);
+  }
+
+  const attachments = mediaByPath(media);
+  const added = new Set();
+  for (const row of media ? rows : []) {
+    if (!row.mediaPaths) continue;
+    for (const mediaPath of row.mediaPaths.split("; ")) {
+      const file = attachments.get(mediaPath);
+      if (file && !added.has(mediaPath)) {
+        zip.addFile(file.path, mediaPath);
+        added.add(mediaPath);
       }
     }
   }
 
-  return rows.map(enrichRow);
+  zip.end();
+  return zip.outputStream;
 }
 
 /* -------------------- Routes -------------------- */
+// Express 4 ignores rejected promises, so async handlers pass their errors on
+// to the error handler below instead of taking the process down
+function asyncRoute(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+// Query parameters are read as single strings; repeated (?a=1&a=2) or nested
+// (?a[b]=1) ones are turned away before a route calls .split() on them
+app.use((req, res, next) => {
+  const invalid = Object.keys(req.query).find(key => typeof req.query[key] !== "string");
+  if (invalid) return res.status(400).json({ error: `Query parameter "${invalid}" must be given once, as text.` });
+  next();
+});
+
 app.get("/", (req, res) => {
   res.sendFile(path.join(__dirname, "index.html"));
 });
@@ -396,134 +3474,664 @@ app.get("/preview.html", (req, res) => {
   res.sendFile(path.join(__dirname, "preview.html"));
 });
 
-app.post("/upload", (req, res, next) => {
-  upload.single("chatFile")(req, res, (err) => {
-    if (err) {
-      if (err.code === "LIMIT_FILE_SIZE") {
-        return res.status(400).json({ error: "File too large (max 50MB)." });
+function receiveFilesFrom(field, maxCount) {
+  return (req, res, next) => {
+    upload.array(field, maxCount)(req, res, (err) => {
+      if (err) {
+        if (err.code === "LIMIT_FILE_SIZE") {
+          return res.status(400).json({ error: `File too large (max ${MAX_UPLOAD_MB}MB).` });
+        }
+        return res.status(400).json({ error: "Upload error: " + err.message });
       }
-      return res.status(400).json({ error: "Upload error: " + err.message });
-    }
-    next();
-  });
-}, async (req, res) => {
-  if (!req.file) return res.status(400).json({ error: "No file uploaded." });
+      // Browsers send file names as UTF-8, which multer reads as latin1
+      for (const file of req.files || []) {
+        file.originalname = Buffer.from(file.originalname, "latin1").toString("utf8");
+      }
+      next();
+    });
+  };
+}
 
-  const lowerName = req.file.originalname.toLowerCase();
-  const isZip = lowerName.endsWith(".zip");
-  const isTxt = lowerName.endsWith(".txt");
+const receiveFiles = receiveFilesFrom("chatFile", 20);
+const receiveContacts = receiveFilesFrom("contactsFile", 5);
 
-  if (!isZip && !isTxt) {
-    return res.status(400).json({ error: "Please upload a .txt or .zip file." });
-  }
+// Parses one uploaded .txt or .zip into its chats. Attachments are copied to
+// `mediaDir` and recorded in `media`, which is shared by the whole session.
+async function readUpload(file, parseOptions, media, mediaDir) {
+  const result = { chats: [], formats: [], fileErrors: [] };
+  const lowerName = file.originalname.toLowerCase();
+  const baseName = file.originalname.replace(/\.(txt|zip)$/, "");
 
-  let allRows = [];
-  let filesProcessed = 0;
-  const fileErrors = [];
+  if (lowerName.endsWith(".zip")) {
+    const zipfile = await yauzl.openPromise(file.path, { autoClose: false });
+    const mediaNames = new Set([...media.values()].map(m => m.name));
 
-  try {
-    if (isZip) {
-      const zip = new AdmZip(req.file.buffer);
-      const zipEntries = zip.getEntries();
+    try {
+      for await (const entry of zipfile.eachEntry()) {
+        if (entry.fileName.endsWith("/")) continue;
 
-      for (const entry of zipEntries) {
-        if (entry.entryName.endsWith(".txt") && !entry.isDirectory) {
+        if (entry.fileName.endsWith(".txt")) {
           try {
-            const content = entry.getData().toString("utf8");
-            const rows = parseWhatsAppTxt(content);
+            const stream = await zipfile.openReadStreamPromise(entry);
+            const { rows, dateFormat, lineFormat } = await parseChatStream(stream, parseOptions);
             if (rows.length > 0) {
-              allRows = allRows.concat(rows);
-              filesProcessed++;
+              const sourceFile = `${file.originalname}/${entry.fileName}`;
+              rows.forEach(row => { row.sourceFile = sourceFile; });
+              result.chats.push({ name: chatNameOf(entry.fileName, baseName), sourceFile, rows });
+              result.formats.push({ file: sourceFile, date: dateFormat, line: lineFormat });
+              continue;
             }
           } catch (err) {
-            fileErrors.push({ file: entry.entryName, error: err.message });
-            console.error(`Error processing ${entry.entryName}:`, err.message);
+            result.fileErrors.push({ file: entry.fileName, error: err.message });
+            console.error(`Error processing ${entry.fileName}:`, err.message);
+            continue;
           }
         }
-      }
 
-      if (filesProcessed === 0) {
-        return res.status(400).json({ 
-          error: "No valid .txt files found in the zip archive.",
-          fileErrors 
-        });
+        // Everything that isn't a chat is an attachment, keyed by its full
+        // path so that files sharing a name are all kept
+        const key = `${file.originalname}/${entry.fileName}`;
+        if (!media.has(key)) {
+          const name = mediaNameOf(entry.fileName, file.originalname, mediaNames);
+          const stream = await zipfile.openReadStreamPromise(entry);
+          const stored = await storeMediaEntry(name, stream, path.join(mediaDir, `${media.size}-${path.posix.basename(name)}`));
+          media.set(key, { key, archive: file.originalname, ...stored });
+        }
       }
+    } finally {
+      zipfile.close();
+    }
+
+    if (!result.chats.length) {
+      result.error = `No valid .txt files found in ${file.originalname}.`;
+    }
+  } else if (lowerName.endsWith(".txt")) {
+    const { rows, dateFormat, lineFormat } = await parseChatStream(fs.createReadStream(file.path), parseOptions);
+    if (!rows.length) {
+      result.error = `Unsupported WhatsApp format in ${file.originalname}.`;
+      return result;
+    }
+    rows.forEach(row => { row.sourceFile = file.originalname; });
+    result.chats.push({ name: chatNameOf(file.originalname, baseName), sourceFile: file.originalname, rows });
+    result.formats.push({ file: file.originalname, date: dateFormat, line: lineFormat });
+  } else {
+    result.error = `${file.originalname}: please upload a .txt or .zip file.`;
+  }
+
+  return result;
+}
+
+function removeUploads(req) {
+  return Promise.all((req.files || []).map(file => fs.promises.rm(file.path, { force: true })));
+}
+
+// Reads every uploaded file one at a time, then removes the temp files
+async function readUploads(req, item) {
+  const parseOptions = { dateOrder: req.body.dateOrder, ...item.timezones };
+  const uploads = [];
+
+  try {
+    for (const file of req.files) {
+      const result = await readUpload(file, parseOptions, item.media, item.mediaDir);
+      uploads.push(result);
+      if (result.error) return { uploads, failed: result };
+    }
+  } finally {
+    await removeUploads(req);
+  }
+
+  return { uploads, failed: null };
+}
+
+// Adds parse formats and errors of new uploads to a session
+function absorbUploads(item, uploads) {
+  for (const u of uploads) {
+    item.formats.push(...u.formats);
+    item.fileErrors.push(...u.fileErrors);
+    item.filesProcessed += u.chats.length;
+  }
+  indexRows(item.rows);
+  applySenderAliases(item.rows, item.senderAliases);
+  segmentConversations(item.rows, item.conversationGap);
+  item.mediaWarnings = resolveMediaReferences(item.rows, item.media);
+  item.stats = calculateStatistics(item.rows);
+}
+
+function uploadResponse(id, item) {
+  return {
+    success: true,
+    id,
+    stats: item.stats,
+    preview: item.rows.slice(0, 20),
+    totalRows: item.rows.length,
+    filesProcessed: item.filesProcessed,
+    formats: item.formats,
+    timezones: item.timezones,
+    chats: item.chats,
+    mediaFiles: item.media.size,
+    mediaWarnings: item.mediaWarnings.length > 0 ? item.mediaWarnings : undefined,
+    fileErrors: item.fileErrors.length > 0 ? item.fileErrors : undefined,
+  };
+}
+
+app.post("/upload", receiveFiles, asyncRoute(async (req, res) => {
+  if (!req.files || !req.files.length) return res.status(400).json({ error: "No file uploaded." });
+
+  const timezones = timezonesOf(req.body);
+  if (timezones.error) {
+    await removeUploads(req);
+    return res.status(400).json({ error: timezones.error });
+  }
+
+  const id = Math.random().toString(36).slice(2);
+  const item = {
+    rows: [],
+    baseName: req.files[0].originalname.replace(/\.(txt|zip)$/, ""),
+    filesProcessed: 0,
+    fileErrors: [],
+    formats: [],
+    chats: [],
+    media: new Map(),
+    mediaDir: sessions.mediaDir(id),
+    mediaWarnings: [],
+    timezones,
+    conversationGap: CONVERSATION_GAP_MINUTES,
+    senderAliases: {},
+    redactionSalt: crypto.randomBytes(16).toString("hex"),
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+  };
+  const discard = () => fs.rm(item.mediaDir, { recursive: true, force: true }, () => {});
+
+  try {
+    const { uploads, failed } = await readUploads(req, item);
+    if (failed) {
+      discard();
+      return res.status(400).json({
+        error: failed.error,
+        fileErrors: failed.fileErrors.length > 0 ? failed.fileErrors : undefined,
+      });
+    }
+
+    const parsed = uploads.flatMap(u => u.chats);
+
+    if (req.body.merge === "true" && parsed.length > 1) {
+      // Several exports of the same chat become one timeline
+      const [first, ...rest] = parsed;
+      const entry = addChat(item.chats, first.name, first.sourceFile, first.rows);
+      item.rows = rest.reduce((rows, chat) => mergeIntoChat(entry, rows, chat), first.rows);
     } else {
-      const rows = parseWhatsAppTxt(req.file.buffer.toString("utf8"));
-      if (!rows.length) {
-        return res.status(400).json({ error: "Unsupported WhatsApp format." });
+      for (const chat of parsed) {
+        addChat(item.chats, chat.name, chat.sourceFile, chat.rows);
+        item.rows = item.rows.concat(chat.rows);
       }
-      allRows = rows;
-      filesProcessed = 1;
     }
 
-    if (!allRows.length) {
+    if (!item.rows.length) {
+      discard();
       return res.status(400).json({ error: "No messages found in the file(s)." });
     }
 
-    const stats = calculateStatistics(allRows);
-    const id = Math.random().toString(36).slice(2);
-    const baseName = req.file.originalname.replace(/\.(txt|zip)$/, "");
-
-    downloads.set(id, {
-      rows: allRows,
-      stats,
-      baseName,
-      filesProcessed,
-      fileErrors,
-      createdAt: Date.now(),
-    });
+    absorbUploads(item, uploads);
+    await saveSession(id, item);
 
-    res.json({
-      success: true,
-      id,
-      stats,
-      preview: allRows.slice(0, 20),
-      totalRows: allRows.length,
-      filesProcessed,
-      fileErrors: fileErrors.length > 0 ? fileErrors : undefined,
-    });
+    res.json(uploadResponse(id, item));
   } catch (err) {
+    discard();
     console.error("Upload error:", err);
     return res.status(500).json({ error: "Error processing file: " + err.message });
   }
-});
+}));
+
+// Adds more exports to a session. A chat with the same name (or the session's
+// only chat) absorbs the new messages; anything else becomes a new chat.
+app.post("/upload/:id/append", receiveFiles, asyncRoute(async (req, res) => {
+  const item = await getSession(req.params.id);
+  if (!item) {
+    await removeUploads(req);
+    return res.status(404).json({ error: "Session expired." });
+  }
+  if (!req.files || !req.files.length) return res.status(400).json({ error: "No file uploaded." });
+
+  try {
+    const { uploads, failed } = await readUploads(req, item);
+    if (failed) {
+      return res.status(400).json({
+        error: failed.error,
+        fileErrors: failed.fileErrors.length > 0 ? failed.fileErrors : undefined,
+      });
+    }
+
+    for (const chat of uploads.flatMap(u => u.chats)) {
+      const target = item.chats.find(c => c.name === chat.name) ||
+        (item.chats.length === 1 ? item.chats[0] : null);
+
+      if (target) {
+        const base = groupByChat(item.rows).get(target.name) || [];
+        replaceChatRows(item, target.name, mergeIntoChat(target, base, chat));
+      } else {
+        addChat(item.chats, chat.name, chat.sourceFile, chat.rows);
+        item.rows = item.rows.concat(chat.rows);
+      }
+    }
+
+    absorbUploads(item, uploads);
+    await saveSession(req.params.id, item);
+
+    res.json(uploadResponse(req.params.id, item));
+  } catch (err) {
+    console.error("Append error:", err);
+    return res.status(500).json({ error: "Error processing file: " + err.message });
+  }
+}));
+
+// Both endpoints return one page of the filtered rows plus the total count.
+// ?search= narrows the table further without changing the stats.
+function tableOf(filtered, query) {
+  const searched = query.search ? filterRows(filtered, { keyword: query.search }) : filtered;
+  return {
+    filtered,
+    table: pageOf(searched, query),
+  };
+}
 
-app.post("/api/filter/:id", (req, res) => {
-  const item = downloads.get(req.params.id);
+app.post("/api/filter/:id", asyncRoute(async (req, res) => {
+  const item = await getSession(req.params.id);
   if (!item) {
     return res.status(404).json({ error: "Session expired." });
   }
 
-  const filtered = filterRows(item.rows, req.body.filters || {});
-  const stats = calculateStatistics(filtered);
+  const query = { ...req.query, ...req.body };
+  const { rows, error } = requestRows(item, query);
+  if (error) return res.status(400).json({ error });
+
+  const { filtered, table } = tableOf(rows, query);
 
   res.json({
-    rows: filtered,
-    stats,
-    preview: filtered.slice(0, 20),
+    ...table,
+    stats: calculateStatistics(filtered),
+    activity: calculateActivity(filtered),
   });
-});
+}));
 
-app.get("/api/data/:id", (req, res) => {
-  const item = downloads.get(req.params.id);
+app.get("/api/data/:id", asyncRoute(async (req, res) => {
+  const item = await getSession(req.params.id);
   if (!item) {
     return res.status(404).json({ error: "Session expired." });
   }
 
-  const filters = req.query.filters ? JSON.parse(req.query.filters) : {};
-  const filtered = filterRows(item.rows, filters);
+  const { rows, redactor, error } = requestRows(item, req.query);
+  if (error) return res.status(400).json({ error });
+
+  const { filtered, table } = tableOf(rows, req.query);
   const columns = req.query.columns ? req.query.columns.split(",") : ["date", "time", "sender", "message"];
 
+  // Paging through the table doesn't need the rest again
+  if (req.query.stats === "false") {
+    return res.json(table);
+  }
+
   res.json({
-    rows: filtered,
+    ...table,
     columns,
     stats: calculateStatistics(filtered),
+    activity: calculateActivity(filtered),
+    senders: [...new Set(item.rows.map(r => r.sender).filter(Boolean).map(redactor ? redactor.redactSender : name => name))].sort(),
+    formats: redactor ? item.formats.map(redactor.redactFormat) : item.formats,
+    timezones: item.timezones,
+    conversationGap: gapMinutesOf(item.conversationGap),
+    chats: redactor ? (item.chats || []).map(redactor.redactChat) : item.chats || [],
+    mediaFiles: item.media ? item.media.size : 0,
+    mediaWarnings: redactor ? (item.mediaWarnings || []).map(redactor.redactMediaWarning) : item.mediaWarnings || [],
+    expiresAt: new Date(item.updatedAt + SESSION_TTL_MINUTES * 60 * 1000).toISOString(),
   });
-});
+}));
+
+// A message with the messages around it in the full timeline, whatever the filters
+app.get("/api/context/:id/:index", asyncRoute(async (req, res) => {
+  const item = await getSession(req.params.id);
+  if (!item) {
+    return res.status(404).json({ error: "Session expired." });
+  }
+
+  const index = parseInt(req.params.index);
+  if (!(index >= 0 && index < item.rows.length)) {
+    return res.status(400).json({ error: "No such message in this session." });
+  }
+
+  const { options, error } = readRedaction(req.query.redact);
+  if (error) return res.status(400).json({ error });
+  const redactRow = options ? createRedactor(item, options).redactRow : row => row;
+
+  const [start, end] = contextRange(
+    item.rows,
+    index,
+    contextSizeOf(req.query.before, 5),
+    contextSizeOf(req.query.after, 5)
+  );
+
+  res.json({
+    index,
+    chat: redactRow(item.rows[index]).chat,
+    rows: item.rows.slice(start, end + 1).map(row => ({ ...redactRow(row), isMatch: row.index === index })),
+  });
+}));
+
+app.delete("/api/session/:id", asyncRoute(async (req, res) => {
+  const item = await getSession(req.params.id);
+  if (!item) {
+    return res.status(404).json({ error: "Session expired." });
+  }
+
+  await sessions.delete(req.params.id);
+  res.json({ success: true });
+}));
+
+// Diff of two chats in a session, picked by name with ?a= and ?b=
+function diffSessionChats(item, query) {
+  const redaction = readRedaction(query.redact);
+  if (redaction.error) return { error: redaction.error };
+  const groups = groupByChat(item.rows);
+  // A redacted preview picks chats by their redacted names
+  const redactor = redaction.options ? createRedactor(item, redaction.options) : null;
+  const [a, b] = redactor ? [redactor.realChat(query.a), redactor.realChat(query.b)] : [query.a, query.b];
+  if (!groups.has(a) || !groups.has(b)) return { error: "Pick two chats from this session to compare." };
+
+  // Both sides are redacted alike, so equal messages still match
+  const rowsOf = chat => redactor ? groups.get(chat).map(redactor.redactRow) : groups.get(chat);
+  const report = diffChatRows(rowsOf(a), rowsOf(b));
+  report.a.chat = redactor ? redactor.redactName(a) : a;
+  report.b.chat = redactor ? redactor.redactName(b) : b;
+  return { report, redactor };
+}
+
+app.get("/api/diff/:id", asyncRoute(async (req, res) => {
+  const item = await getSession(req.params.id);
+  if (!item) {
+    return res.status(404).json({ error: "Session expired." });
+  }
+
+  const { report, error } = diffSessionChats(item, req.query);
+  if (error) return res.status(400).json({ error });
+
+  res.json(report);
+}));
+
+// Per-participant analytics for the filtered rows; ?gap= sets the idle
+// minutes that end a conversation
+app.get("/api/analytics/:id", asyncRoute(async (req, res) => {
+  const item = await getSession(req.params.id);
+  if (!item) {
+    return res.status(404).json({ error: "Session expired." });
+  }
+
+  const { rows, error } = requestRows(item, req.query);
+  if (error) return res.status(400).json({ error });
 
-app.get("/download/:id", async (req, res) => {
-  const item = downloads.get(req.params.id);
+  res.json({
+    gapMinutes: gapMinutesOf(req.query.gap || item.conversationGap),
+    participants: calculateParticipants(rows, { gapMinutes: req.query.gap || item.conversationGap }),
+  });
+}));
+
+app.get("/download/:id/analytics", asyncRoute(async (req, res) => {
+  const item = await getSession(req.params.id);
+  res.setHeader("Cache-Control", "no-store");
+
+  if (!item) {
+    return res.status(404).json({ error: "Session expired." });
+  }
+
+  const { rows, redactor, error } = requestRows(item, req.query);
+  if (error) return res.status(400).json({ error });
+
+  const participants = calculateParticipants(rows, { gapMinutes: req.query.gap || item.conversationGap });
+  const baseName = `${baseNameOf(item, redactor)}-participants`;
+
+  if (req.query.format === "json") {
+    res.attachment(`${baseName}.json`);
+    res.setHeader("Content-Type", "application/json");
+    return res.send(toJson(participants));
+  }
+
+  res.attachment(`${baseName}.csv`);
+  res.setHeader("Content-Type", "text/csv");
+  res.send(toCsv(participants, PARTICIPANT_COLUMNS));
+}));
+
+// Conversation summaries for the filtered rows, paged and sorted like the table
+app.get("/api/conversations/:id", asyncRoute(async (req, res) => {
+  const item = await getSession(req.params.id);
+  if (!item) {
+    return res.status(404).json({ error: "Session expired." });
+  }
+
+  const { rows, error } = requestRows(item, req.query);
+  if (error) return res.status(400).json({ error });
+
+  res.json({
+    gapMinutes: gapMinutesOf(item.conversationGap),
+    ...pageOf(summarizeConversations(rows), req.query),
+  });
+}));
+
+// Splits the session into conversations again with a different idle gap
+app.post("/api/conversations/:id/segment", asyncRoute(async (req, res) => {
+  const item = await getSession(req.params.id);
+  if (!item) {
+    return res.status(404).json({ error: "Session expired." });
+  }
+
+  item.conversationGap = gapMinutesOf(req.body.gap);
+  segmentConversations(item.rows, item.conversationGap);
+  await saveSession(req.params.id, item);
+
+  res.json({
+    gapMinutes: item.conversationGap,
+    conversations: item.rows.length ? item.rows[item.rows.length - 1].conversationId : 0,
+  });
+}));
+
+// Names as they appear in the export, with the alias each one is shown as
+app.get("/api/senders/:id", asyncRoute(async (req, res) => {
+  const item = await getSession(req.params.id);
+  if (!item) {
+    return res.status(404).json({ error: "Session expired." });
+  }
+
+  res.json({ senders: senderList(item) });
+}));
+
+// Replaces the session's sender mapping. Giving two names the same alias merges them.
+app.post("/api/senders/:id/aliases", asyncRoute(async (req, res) => {
+  const item = await getSession(req.params.id);
+  if (!item) {
+    return res.status(404).json({ error: "Session expired." });
+  }
+
+  const { aliases, error } = readSenderAliases(req.body.aliases);
+  if (error) return res.status(400).json({ error });
+
+  item.senderAliases = aliases;
+  applySenderAliases(item.rows, item.senderAliases);
+  item.stats = calculateStatistics(item.rows);
+  await saveSession(req.params.id, item);
+
+  res.json({ senders: senderList(item) });
+}));
+
+// Names senders that are phone numbers after the contacts in uploaded .vcf
+// files. Senders that already have an alias keep it.
+app.post("/api/senders/:id/contacts", receiveContacts, asyncRoute(async (req, res) => {
+  if (!req.files || !req.files.length) return res.status(400).json({ error: "No contacts file uploaded." });
+
+  try {
+    const item = await getSession(req.params.id);
+    if (!item) {
+      return res.status(404).json({ error: "Session expired." });
+    }
+
+    const contacts = [];
+    for (const file of req.files) {
+      contacts.push(...parseVcf(await fs.promises.readFile(file.path, "utf8")));
+    }
+    if (!contacts.length) {
+      return res.status(400).json({ error: "No contacts with phone numbers found in the file." });
+    }
+
+    const current = item.senderAliases || {};
+    const found = aliasesFromContacts(senderList(item).map(s => s.name).filter(name => !current[name]), contacts);
+    item.senderAliases = { ...current, ...found };
+    applySenderAliases(item.rows, item.senderAliases);
+    item.stats = calculateStatistics(item.rows);
+    await saveSession(req.params.id, item);
+
+    res.json({ contacts: contacts.length, matched: Object.keys(found).length, senders: senderList(item) });
+  } finally {
+    await removeUploads(req);
+  }
+}));
+
+app.get("/download/:id/conversations", asyncRoute(async (req, res) => {
+  const item = await getSession(req.params.id);
+  res.setHeader("Cache-Control", "no-store");
+
+  if (!item) {
+    return res.status(404).json({ error: "Session expired." });
+  }
+
+  const { rows, redactor, error } = requestRows(item, req.query);
+  if (error) return res.status(400).json({ error });
+
+  const conversations = summarizeConversations(rows);
+  const baseName = `${baseNameOf(item, redactor)}-conversations`;
+
+  if (req.query.format === "json") {
+    res.attachment(`${baseName}.json`);
+    res.setHeader("Content-Type", "application/json");
+    return res.send(toJson(conversations));
+  }
+
+  res.attachment(`${baseName}.csv`);
+  res.setHeader("Content-Type", "text/csv");
+  res.send(toCsv(conversations, CONVERSATION_COLUMNS));
+}));
+
+// Emoji, word and bigram counts for the filtered rows; ?lang= picks the stopwords
+app.get("/api/vocabulary/:id", asyncRoute(async (req, res) => {
+  const item = await getSession(req.params.id);
+  if (!item) {
+    return res.status(404).json({ error: "Session expired." });
+  }
+
+  const { rows, error } = requestRows(item, req.query);
+  if (error) return res.status(400).json({ error });
+
+  res.json(calculateVocabulary(rows, {
+    language: req.query.lang,
+    limit: req.query.limit,
+  }));
+}));
+
+app.get("/download/:id/vocabulary", asyncRoute(async (req, res) => {
+  const item = await getSession(req.params.id);
+  res.setHeader("Cache-Control", "no-store");
+
+  if (!item) {
+    return res.status(404).json({ error: "Session expired." });
+  }
+
+  const { rows, redactor, error } = requestRows(item, req.query);
+  if (error) return res.status(400).json({ error });
+
+  const report = calculateVocabulary(rows, {
+    language: req.query.lang,
+    limit: req.query.limit,
+  });
+
+  res.attachment(`${baseNameOf(item, redactor)}-vocabulary.csv`);
+  res.setHeader("Content-Type", "text/csv");
+  res.send(toCsv(vocabularyRows(report), VOCABULARY_COLUMNS));
+}));
+
+// Every link, e-mail address and phone number in the filtered rows
+app.get("/download/:id/links", asyncRoute(async (req, res) => {
+  const item = await getSession(req.params.id);
+  res.setHeader("Cache-Control", "no-store");
+
+  if (!item) {
+    return res.status(404).json({ error: "Session expired." });
+  }
+
+  const { rows, redactor, error } = requestRows(item, req.query);
+  if (error) return res.status(400).json({ error });
+
+  const links = linkRows(rows);
+  const baseName = `${baseNameOf(item, redactor)}-links`;
+
+  if (req.query.format === "json") {
+    res.attachment(`${baseName}.json`);
+    res.setHeader("Content-Type", "application/json");
+    return res.send(toJson(links));
+  }
+
+  res.attachment(`${baseName}.csv`);
+  res.setHeader("Content-Type", "text/csv");
+  res.send(toCsv(links, LINK_COLUMNS));
+}));
+
+// Who each pseudonym stands for, to keep apart from the redacted export
+app.get("/download/:id/redaction-key", asyncRoute(async (req, res) => {
+  const item = await getSession(req.params.id);
+  res.setHeader("Cache-Control", "no-store");
+
+  if (!item) {
+    return res.status(404).json({ error: "Session expired." });
+  }
+
+  const { options, error } = readRedaction(req.query.redact || "{}");
+  if (error) return res.status(400).json({ error });
+
+  const { key } = createRedactor(item, options);
+  const baseName = `${item.baseName || "chat"}-redaction-key`;
+
+  if (req.query.format === "json") {
+    res.attachment(`${baseName}.json`);
+    res.setHeader("Content-Type", "application/json");
+    return res.send(toJson(key));
+  }
+
+  res.attachment(`${baseName}.csv`);
+  res.setHeader("Content-Type", "text/csv");
+  res.send(toCsv(key, REDACTION_KEY_COLUMNS));
+}));
+
+app.get("/download/:id/diff", asyncRoute(async (req, res) => {
+  const item = await getSession(req.params.id);
+  res.setHeader("Cache-Control", "no-store");
+
+  if (!item) {
+    return res.status(404).json({ error: "Session expired." });
+  }
+
+  const { report, redactor, error } = diffSessionChats(item, req.query);
+  if (error) return res.status(400).json({ error });
+
+  const baseName = `${baseNameOf(item, redactor)}-diff`;
+
+  if (req.query.format === "json") {
+    res.attachment(`${baseName}.json`);
+    res.setHeader("Content-Type", "application/json");
+    return res.send(toJson(report));
+  }
+
+  res.attachment(`${baseName}.csv`);
+  res.setHeader("Content-Type", "text/csv");
+  res.send(toCsv(report.differences, DIFF_COLUMNS));
+}));
+
+app.get("/download/:id", asyncRoute(async (req, res) => {
+  const item = await getSession(req.params.id);
   res.setHeader("Cache-Control", "no-store");
 
   if (!item) {
@@ -542,8 +4150,8 @@ app.get("/download/:id", async (req, res) => {
             <body>
               <main class="card">
                 <h1>Download Expired</h1>
-                <p class="sub">This download link has expired or has already been used.</p>
-                <p class="note">Download links are valid for 30 minutes and can only be used once.</p>
+                <p class="sub">This download link has expired or the session was deleted.</p>
+                <p class="note">Sessions are kept for ${SESSION_TTL_MINUTES} minutes after they were last used.</p>
                 <a class="btn" href="/">Convert another file</a>
               </main>
             </body>
@@ -556,83 +4164,113 @@ app.get("/download/:id", async (req, res) => {
 
   const format = req.query.format || "csv";
   
-  // Safely parse filters
-  let filters = {};
-  if (req.query.filters) {
-    try {
-      filters = JSON.parse(req.query.filters);
-    } catch (e) {
-      console.error("Error parsing filters:", e);
-      filters = {};
-    }
-  }
+  const { rows, redactor, error } = requestRows(item, req.query);
+  if (error) return res.status(400).json({ error });
   
   const columns = req.query.columns ? req.query.columns.split(",") : ["date", "time", "sender", "message"];
   const delimiter = req.query.delimiter || ",";
+  const output = readOutputOptions(req.query);
+  if (output.error) return res.status(400).json({ error: output.error });
   
-  const filtered = filterRows(item.rows, filters);
-  const baseName = item.baseName || "chat";
-
-  let content, filename, contentType;
+  let filtered = rows;
+  const contextSize = contextSizeOf(req.query.context, 0);
+  if (contextSize > 0) {
+    filtered = withContext(item.rows, filtered, contextSize);
+    if (redactor) filtered = filtered.map(redactor.redactRow);
+    if (!columns.includes("isMatch")) columns.push("isMatch");
+  }
+  const baseName = baseNameOf(item, redactor);
 
   try {
-    switch (format) {
-      case "json":
-        content = toJson(filtered);
-        filename = `${baseName}.json`;
-        contentType = "application/json";
-        break;
-      
-      case "excel":
-      case "xlsx":
-        const buffer = await toExcel(filtered, columns);
-        res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
-        res.setHeader("Content-Disposition", `attachment; filename="${baseName}.xlsx"`);
-        res.send(buffer);
-        // Delete session after successful send
-        setTimeout(() => downloads.delete(req.params.id), 100);
-        return;
-      
-      case "html":
-        content = toHtml(filtered, columns);
-        filename = `${baseName}.html`;
-        contentType = "text/html";
-        break;
-      
-      case "csv":
-      default:
-        content = toCsv(filtered, columns, delimiter);
-        filename = `${baseName}.csv`;
-        contentType = "text/csv";
-        break;
+    const splitByChat = req.query.split === "chat";
+    const bundleMedia = req.query.bundle === "media";
+    // Attachments would give away what redaction hides
+    if (bundleMedia && redactor) {
+      return res.status(400).json({ error: "Attachments can't be bundled with a redacted export." });
+    }
+    let { extension, contentType } = exportFormatOf(format);
+    if (extension === "sql" && req.query.dialect && !SQL_DIALECTS[req.query.dialect]) {
+      return res.status(400).json({ error: `Unknown SQL dialect "${req.query.dialect}". Use sqlite, postgres or mysql.` });
+    }
+    // Workbooks get summary and pivot sheets unless ?summary=false
+    const extraSheets = extension === "xlsx" && req.query.summary !== "false"
+      ? analysisSheets(filtered, { gapMinutes: req.query.gap || item.conversationGap })
+      : [];
+    let filename = `${baseName}.${extension}`;
+    // Transcripts embed attachments, except in redacted exports
+    const options = {
+      ...output.options,
+      splitByChat,
+      extraSheets,
+      title: baseName,
+      me: req.query.me,
+      media: redactor ? null : item.media,
+      dialect: req.query.dialect,
+      envelope: req.query.envelope === "true" ? exportMeta(item, req.query, { columns, redactor }) : null,
+    };
+
+    // Excel splits into sheets; every other format gets one file per chat
+    const files = splitByChat && extension !== "xlsx"
+      ? renderPerChat(format, filtered, columns, delimiter, options)
+      : [{ filename, stream: renderExport(format, filtered, columns, delimiter, options) }];
+    let stream = files[0].stream;
+
+    if (bundleMedia || files.length > 1) {
+      stream = toZip(files, filtered, bundleMedia ? item.media : null);
+      filename = `${baseName}.zip`;
+      contentType = "application/zip";
     }
 
+    // res.attachment quotes the name and adds a filename*= for characters
+    // outside latin1. It guesses a Content-Type too, so ours goes after it.
+    res.attachment(filename);
     res.setHeader("Content-Type", contentType);
-    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
-    res.send(content);
-    
-    // Delete session after successful send
-    setTimeout(() => downloads.delete(req.params.id), 100);
+    await pipeline(stream, res);
   } catch (err) {
     console.error("Export error:", err);
-    // Don't delete session on error so user can try again
     if (!res.headersSent) {
       res.status(500).json({ error: "Error generating export: " + err.message });
     }
   }
-});
+}));
 
 /* -------------------- Errors -------------------- */
 app.use((err, req, res, next) => {
   if (err?.code === "LIMIT_FILE_SIZE") {
-    return res.status(400).json({ error: "File too large (max 50MB)." });
+    return res.status(400).json({ error: `File too large (max ${MAX_UPLOAD_MB}MB).` });
   }
   console.error(err);
+  // A stream that fails halfway can only be cut off
+  if (res.headersSent) return next(err);
   res.status(500).json({ error: "Something went wrong." });
 });
 
 /* -------------------- Start -------------------- */
-app.listen(PORT, "0.0.0.0", () => {
-  console.log(`Server running on port ${PORT}`);
-});
+// `node app.js` starts the server; the tests require the file for its functions
+if (require.main === module) {
+  app.listen(PORT, "0.0.0.0", () => {
+    console.log(`Server running on port ${PORT}`);
+  });
+}
+
+module.exports = {
+  app,
+  detectDateOrder,
+  createChatParser,
+  zonedTimeToEpoch,
+  zonedParts,
+  timezonesOf,
+  enrichRow,
+  compileFilters,
+  compileRegex,
+  filterRows,
+  readRedaction,
+  createRedactor,
+  mergeChatRows,
+  diffChatRows,
+  createFileStore,
+  readOutputOptions,
+  csvCell,
+  toCsv,
+};
 
@@ -0,0 +1,212 @@
+// Activity charts for the preview page. They are drawn as plain SVG strings,
+// so nothing is loaded from a CDN and every chart can be saved as .svg or .png.
+
+const CHART_WIDTH = 720;
+const CHART_MARGIN = { top: 16, right: 16, bottom: 32, left: 44 };
+const CHART_TEXT = "#8b8ba7";
+const CHART_GRID = "rgba(139, 139, 167, 0.25)";
+const CHART_COLORS = ["#4f46e5", "#22c55e", "#f59e0b", "#ef4444", "#06b6d4", "#a855f7", "#ec4899", "#84cc16", "#94a3b8"];
+const CHART_DAYS = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
+
+function svgText(text) {
+  return String(text).replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c]));
+}
+
+function svgFrame(width, height, content) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="system-ui, sans-serif" font-size="11">${content}</svg>`;
+}
+
+/* ---------- Buckets ---------- */
+
+// "2024-05-03" -> its day, the Monday of its week, or "2024-05"
+function bucketOf(date, granularity) {
+  if (granularity === "monthly") return date.slice(0, 7);
+  if (granularity === "weekly") {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() - (d.getUTCDay() + 6) % 7);
+    return d.toISOString().slice(0, 10);
+  }
+  return date;
+}
+
+function nextBucket(bucket, granularity) {
+  if (granularity === "monthly") {
+    const [year, month] = bucket.split("-").map(Number);
+    return month === 12 ? `${year + 1}-01` : `${year}-${String(month + 1).padStart(2, "0")}`;
+  }
+  const d = new Date(`${bucket}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + (granularity === "weekly" ? 7 : 1));
+  return d.toISOString().slice(0, 10);
+}
+
+// Every bucket from the first to the last date, so quiet periods show as gaps
+function bucketRange(dailies, granularity) {
+  const dates = dailies.flatMap(daily => Object.keys(daily)).sort();
+  if (!dates.length) return [];
+
+  const last = bucketOf(dates[dates.length - 1], granularity);
+  const buckets = [bucketOf(dates[0], granularity)];
+  while (buckets[buckets.length - 1] < last) {
+    buckets.push(nextBucket(buckets[buckets.length - 1], granularity));
+  }
+  return buckets;
+}
+
+function bucketValues(daily, granularity, buckets) {
+  const totals = {};
+  for (const [date, count] of Object.entries(daily)) {
+    const bucket = bucketOf(date, granularity);
+    totals[bucket] = (totals[bucket] || 0) + count;
+  }
+  return buckets.map(bucket => totals[bucket] || 0);
+}
+
+/* ---------- Axes ---------- */
+
+function plotArea(height) {
+  return {
+    left: CHART_MARGIN.left,
+    top: CHART_MARGIN.top,
+    width: CHART_WIDTH - CHART_MARGIN.left - CHART_MARGIN.right,
+    height: height - CHART_MARGIN.top - CHART_MARGIN.bottom,
+  };
+}
+
+// Horizontal grid lines with counts, and a handful of bucket labels underneath
+function axes(area, max, buckets) {
+  const parts = [];
+  for (const fraction of [0, 0.5, 1]) {
+    const y = area.top + area.height * (1 - fraction);
+    parts.push(`<line x1="${area.left}" x2="${area.left + area.width}" y1="${y}" y2="${y}" stroke="${CHART_GRID}"/>`);
+    parts.push(`<text x="${area.left - 6}" y="${y + 4}" text-anchor="end" fill="${CHART_TEXT}">${Math.round(max * fraction).toLocaleString()}</text>`);
+  }
+
+  const labels = Math.min(buckets.length, 6);
+  for (let i = 0; i < labels; i++) {
+    const index = labels === 1 ? 0 : Math.round(i * (buckets.length - 1) / (labels - 1));
+    const x = area.left + (index + 0.5) * area.width / buckets.length;
+    const anchor = i === 0 ? "start" : i === labels - 1 ? "end" : "middle";
+    parts.push(`<text x="${x}" y="${area.top + area.height + 18}" text-anchor="${anchor}" fill="${CHART_TEXT}">${svgText(buckets[index])}</text>`);
+  }
+  return parts.join("");
+}
+
+function emptyChart(height, message = "No messages to chart") {
+  return svgFrame(CHART_WIDTH, height,
+    `<text x="${CHART_WIDTH / 2}" y="${height / 2}" text-anchor="middle" fill="${CHART_TEXT}">${message}</text>`);
+}
+
+/* ---------- Charts ---------- */
+
+function barChart(daily, granularity, options = {}) {
+  const height = options.height || 220;
+  const buckets = bucketRange([daily], granularity);
+  if (!buckets.length) return emptyChart(height, options.empty);
+
+  const values = bucketValues(daily, granularity, buckets);
+  const max = Math.max(1, ...values);
+  const area = plotArea(height);
+  const step = area.width / buckets.length;
+  const color = options.color || CHART_COLORS[0];
+
+  const bars = values.map((value, i) => {
+    const barHeight = area.height * value / max;
+    const x = area.left + i * step + (step > 4 ? 1 : 0);
+    const y = area.top + area.height - barHeight;
+    return `<rect x="${x.toFixed(2)}" y="${y.toFixed(2)}" width="${Math.max(step - (step > 4 ? 2 : 0), 0.5).toFixed(2)}" height="${barHeight.toFixed(2)}" fill="${color}"><title>${buckets[i]}: ${value}</title></rect>`;
+  }).join("");
+
+  return svgFrame(CHART_WIDTH, height, axes(area, max, buckets) + bars);
+}
+
+// One line per sender, with a legend below the axis
+function lineChart(series, granularity, options = {}) {
+  const names = Object.keys(series);
+  const legendRows = Math.ceil(names.length / 4);
+  const height = (options.height || 240) + legendRows * 18;
+  const buckets = bucketRange(Object.values(series), granularity);
+  if (!buckets.length) return emptyChart(height);
+
+  const values = names.map(name => bucketValues(series[name], granularity, buckets));
+  const max = Math.max(1, ...values.flat());
+  const area = plotArea(height - legendRows * 18);
+  const step = area.width / buckets.length;
+
+  const lines = values.map((points, i) => {
+    const coords = points.map((value, j) => {
+      const x = area.left + (j + 0.5) * step;
+      const y = area.top + area.height * (1 - value / max);
+      return `${x.toFixed(2)},${y.toFixed(2)}`;
+    }).join(" ");
+    return `<polyline points="${coords}" fill="none" stroke="${CHART_COLORS[i % CHART_COLORS.length]}" stroke-width="1.5"><title>${svgText(names[i])}</title></polyline>`;
+  }).join("");
+
+  const legend = names.map((name, i) => {
+    const x = area.left + (i % 4) * (area.width / 4);
+    const y = area.top + area.height + 36 + Math.floor(i / 4) * 18;
+    const color = CHART_COLORS[i % CHART_COLORS.length];
+    return `<rect x="${x}" y="${y - 9}" width="10" height="10" fill="${color}"/><text x="${x + 14}" y="${y}" fill="${CHART_TEXT}">${svgText(name)}</text>`;
+  }).join("");
+
+  return svgFrame(CHART_WIDTH, height, axes(area, max, buckets) + lines + legend);
+}
+
+// Day of week down the side, hour of day along the bottom
+function heatmapChart(heatmap) {
+  const cell = 24;
+  const left = 44;
+  const top = 8;
+  const cellWidth = (CHART_WIDTH - left - CHART_MARGIN.right) / 24;
+  const height = top + cell * 7 + 28;
+  const max = Math.max(1, ...CHART_DAYS.flatMap(day => heatmap[day] || []));
+
+  const cells = CHART_DAYS.map((day, row) => {
+    const counts = heatmap[day] || [];
+    const label = `<text x="${left - 6}" y="${top + row * cell + 16}" text-anchor="end" fill="${CHART_TEXT}">${day.slice(0, 3)}</text>`;
+    return label + counts.map((count, hour) => {
+      const opacity = count ? 0.12 + 0.88 * count / max : 0.04;
+      const x = left + hour * cellWidth;
+      return `<rect x="${x.toFixed(2)}" y="${top + row * cell}" width="${(cellWidth - 2).toFixed(2)}" height="${cell - 2}" rx="3" fill="${CHART_COLORS[0]}" fill-opacity="${opacity.toFixed(3)}"><title>${day} ${String(hour).padStart(2, "0")}:00 – ${count}</title></rect>`;
+    }).join("");
+  }).join("");
+
+  const hours = [0, 3, 6, 9, 12, 15, 18, 21].map(hour =>
+    `<text x="${(left + hour * cellWidth + cellWidth / 2).toFixed(2)}" y="${top + cell * 7 + 16}" text-anchor="middle" fill="${CHART_TEXT}">${String(hour).padStart(2, "0")}:00</text>`
+  ).join("");
+
+  return svgFrame(CHART_WIDTH, height, cells + hours);
+}
+
+/* ---------- Saving ---------- */
+
+function downloadBlob(blob, filename) {
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+function downloadSvg(svg, name) {
+  downloadBlob(new Blob([svg.outerHTML], { type: "image/svg+xml" }), `${name}.svg`);
+}
+
+// Rasterizes at twice the size on a white background
+function downloadPng(svg, name) {
+  const image = new Image();
+  const url = URL.createObjectURL(new Blob([svg.outerHTML], { type: "image/svg+xml" }));
+  image.onload = () => {
+    const width = svg.width.baseVal.value;
+    const height = svg.height.baseVal.value;
+    const canvas = document.createElement("canvas");
+    canvas.width = width * 2;
+    canvas.height = height * 2;
+    const context = canvas.getContext("2d");
+    context.fillStyle = "#ffffff";
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => downloadBlob(blob, `${name}.png`), "image/png");
+  };
+  image.src = url;
+}
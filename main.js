@@ -3,6 +3,10 @@ const input = document.getElementById("chatFile");
 const fileName = document.getElementById("fileName");
 const button = document.getElementById("convertBtn");
 const form = document.getElementById("uploadForm");
+const dateOrder = document.getElementById("dateOrder");
+const mergeFiles = document.getElementById("mergeFiles");
+const sourceTimezone = document.getElementById("sourceTimezone");
+const outputTimezone = document.getElementById("outputTimezone");
 
 // Theme toggle
 const themeToggle = document.getElementById("themeToggle");
@@ -25,13 +29,25 @@ if (themeToggle) {
 
 applyTheme(currentTheme);
 
+// Time zones: assume the chat was exported on this device
+if (sourceTimezone) {
+  sourceTimezone.value = Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+  const list = document.getElementById("timeZones");
+  const zones = Intl.supportedValuesOf ? Intl.supportedValuesOf("timeZone") : [];
+  list.innerHTML = ["UTC", ...zones].map(zone => `<option value="${zone}"></option>`).join("");
+}
+
 // File name display
 if (input) {
   input.addEventListener("change", () => {
-    fileName.textContent =
-      input.files && input.files[0]
-        ? input.files[0].name
-        : "Choose .txt or .zip file";
+    if (!input.files || !input.files[0]) {
+      fileName.textContent = "Choose .txt or .zip file(s)";
+    } else if (input.files.length > 1) {
+      fileName.textContent = `${input.files.length} files selected`;
+    } else {
+      fileName.textContent = input.files[0].name;
+    }
   });
 }
 
@@ -48,8 +64,15 @@ if (form) {
     button.disabled = true;
     button.textContent = "Converting…";
     
+    // Options go before the file so multer has them when it reads the file
     const formData = new FormData();
-    formData.append("chatFile", input.files[0]);
+    if (dateOrder) formData.append("dateOrder", dateOrder.value);
+    if (mergeFiles && mergeFiles.checked) formData.append("merge", "true");
+    if (sourceTimezone) formData.append("sourceTimezone", sourceTimezone.value.trim());
+    if (outputTimezone) formData.append("outputTimezone", outputTimezone.value.trim());
+    for (const file of input.files) {
+      formData.append("chatFile", file);
+    }
 
     try {
       const response = await fetch("/upload", {
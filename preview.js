@@ -8,19 +8,95 @@ if (!sessionId) {
 
 let currentData = null;
 let currentFilters = {};
+let currentRedaction = null;
+let currentPage = null;
+let currentActivity = null;
+let participants = [];
+const participantSort = { column: "messages", order: "desc" };
+const conversationState = { page: 1, pages: 1, sort: "", order: "asc" };
+// Paging and sorting of the preview table, sent with every data request
+const tableState = { page: 1, pageSize: 50, sort: "", order: "asc", search: "" };
 let selectedColumns = ["date", "time", "sender", "message"];
+// Custom export headers by column id
+let columnLabels = {};
 
 const availableColumns = [
+  { id: "index", label: "Row #" },
+  { id: "chat", label: "Chat" },
+  { id: "sourceFile", label: "Source File" },
   { id: "date", label: "Date" },
   { id: "time", label: "Time" },
   { id: "sender", label: "Sender" },
+  { id: "originalSender", label: "Sender (as exported)" },
   { id: "message", label: "Message" },
   { id: "messageLength", label: "Message Length" },
   { id: "wordCount", label: "Word Count" },
   { id: "dayOfWeek", label: "Day of Week" },
   { id: "hour", label: "Hour" },
+  { id: "timestampUtc", label: "Timestamp (UTC)" },
+  { id: "timestampLocal", label: "Timestamp (Local)" },
+  { id: "epoch", label: "Unix Epoch" },
+  { id: "timezone", label: "Time Zone" },
   { id: "mediaCount", label: "Media Count" },
   { id: "mediaFiles", label: "Media Files" },
+  { id: "mediaPaths", label: "Media Paths" },
+  { id: "mediaTypes", label: "Media Types" },
+  { id: "mediaSizes", label: "Media Sizes" },
+  { id: "mediaHashes", label: "Media Hashes (SHA-256)" },
+  { id: "linkCount", label: "Link Count" },
+  { id: "urls", label: "URLs" },
+  { id: "domains", label: "Domains" },
+  { id: "emails", label: "Emails" },
+  { id: "phones", label: "Phone Numbers" },
+  { id: "mentions", label: "Mentions" },
+  { id: "messageType", label: "Message Type" },
+  { id: "systemEvent", label: "System Event" },
+  { id: "edited", label: "Edited" },
+  { id: "pollQuestion", label: "Poll Question" },
+  { id: "pollOptions", label: "Poll Options" },
+  { id: "latitude", label: "Latitude" },
+  { id: "longitude", label: "Longitude" },
+  { id: "contactName", label: "Contact Name" },
+  { id: "conversationId", label: "Conversation #" },
+  { id: "conversationStart", label: "Conversation Start" },
+  { id: "positionInConversation", label: "Position in Conversation" },
+  { id: "isMatch", label: "Is Match (context exports)" },
+];
+
+const weekdays = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
+
+const participantColumns = [
+  { id: "sender", label: "Sender" },
+  { id: "messages", label: "Messages" },
+  { id: "averageWords", label: "Avg Words" },
+  { id: "mediaShare", label: "Media Share %" },
+  { id: "averageReplyMinutes", label: "Avg Reply (min)" },
+  { id: "medianReplyMinutes", label: "Median Reply (min)" },
+  { id: "conversationsStarted", label: "Started" },
+  { id: "conversationsEnded", label: "Ended" },
+  { id: "longestStreakDays", label: "Longest Streak (days)" },
+  { id: "mostActiveHours", label: "Most Active Hours" },
+];
+
+const conversationColumns = [
+  { id: "conversationId", label: "#" },
+  { id: "chat", label: "Chat" },
+  { id: "start", label: "Start" },
+  { id: "durationMinutes", label: "Duration (min)" },
+  { id: "messages", label: "Messages" },
+  { id: "participants", label: "Participants" },
+  { id: "initiator", label: "Started By" },
+];
+
+const messageTypes = [
+  { id: "text", label: "Text" },
+  { id: "media", label: "Media" },
+  { id: "media_omitted", label: "Media Omitted" },
+  { id: "deleted", label: "Deleted" },
+  { id: "poll", label: "Poll" },
+  { id: "location", label: "Location" },
+  { id: "contact", label: "Contact Card" },
+  { id: "system", label: "System" },
 ];
 
 // Theme toggle
@@ -47,7 +123,7 @@ applyTheme(currentTheme);
 // Load data
 async function loadData() {
   try {
-    const response = await fetch(`/api/data/${sessionId}`);
+    const response = await fetch(`/api/data/${sessionId}?${tableParams()}`);
     if (!response.ok) {
       if (response.status === 404) {
         alert("Session expired. Please upload your file again.");
@@ -59,9 +135,22 @@ async function loadData() {
     
     currentData = await response.json();
     displayStats(currentData.stats);
-    populateSenderFilter(currentData.rows);
+    displayCharts(currentData.activity);
+    document.getElementById("conversationGap").value = currentData.conversationGap || 60;
+    loadParticipants();
+    loadConversations();
+    loadVocabulary();
+    loadSenders();
+    updateLinksDownload();
+    displayFormats(currentData.formats || [], currentData.timezones);
+    displayMediaOption(currentData.mediaFiles, currentData.mediaWarnings || []);
+    displayChats(currentData.chats || [], currentData.stats);
+    displaySessionNote(currentData.expiresAt);
+    populateSenderFilter(currentData.senders || []);
+    populateTypeFilter();
+    populateDayFilter();
     setupColumns();
-    displayPreview(currentData.rows);
+    displayPreview(currentData);
   } catch (error) {
     alert("Error loading data: " + error.message);
     console.error(error);
@@ -103,22 +192,558 @@ function displayStats(stats) {
       <div class="stat-value">${stats.mostActiveHourValue || "N/A"}</div>
       <div class="stat-label">Most Active Hour</div>
     </div>
+    ${stats.systemMessages > 0 ? `
+    <div class="stat-card">
+      <div class="stat-value">${stats.systemMessages.toLocaleString()}</div>
+      <div class="stat-label">System Messages</div>
+    </div>
+    ` : ""}
     ${stats.mediaCount > 0 ? `
     <div class="stat-card">
       <div class="stat-value">${stats.mediaCount}</div>
       <div class="stat-label">Media Files</div>
     </div>
     ` : ""}
+    ${stats.links && stats.links.urls > 0 ? `
+    <div class="stat-card">
+      <div class="stat-value">${stats.links.urls.toLocaleString()}</div>
+      <div class="stat-label">Links Shared</div>
+    </div>
+    <div class="stat-card">
+      <div class="stat-value">${escapeHtml(stats.topDomains[0].domain)}</div>
+      <div class="stat-label">Top Domain</div>
+    </div>
+    ` : ""}
+    ${stats.links && stats.links.emails + stats.links.phones > 0 ? `
+    <div class="stat-card">
+      <div class="stat-value">${(stats.links.emails + stats.links.phones).toLocaleString()}</div>
+      <div class="stat-label">Emails &amp; Phone Numbers</div>
+    </div>
+    ` : ""}
+    ${stats.links && stats.links.mentions > 0 ? `
+    <div class="stat-card">
+      <div class="stat-value">${stats.links.mentions.toLocaleString()}</div>
+      <div class="stat-label">Mentions</div>
+    </div>
+    ` : ""}
   `;
 }
 
-function populateSenderFilter(rows) {
-  const senders = [...new Set(rows.map(r => r.sender).filter(s => s))].sort();
-  const select = document.getElementById("senderFilter");
+function displayCharts(activity) {
+  if (!activity) return;
+  currentActivity = activity;
+  const granularity = document.getElementById("chartGranularity").value;
+
+  document.getElementById("chartTimeline").innerHTML = barChart(activity.daily, granularity);
+  document.getElementById("chartHeatmap").innerHTML = heatmapChart(activity.heatmap);
+  document.getElementById("chartSenders").innerHTML = lineChart(activity.senders, granularity);
+  document.getElementById("chartMedia").innerHTML = barChart(activity.media, granularity, {
+    color: CHART_COLORS[1],
+    height: 160,
+    empty: "No media in these messages",
+  });
+}
+
+function setupChartDownloads() {
+  document.querySelectorAll(".chart").forEach(figure => {
+    const caption = figure.querySelector("figcaption");
+    ["svg", "png"].forEach(type => {
+      const button = document.createElement("button");
+      button.className = "btn-link";
+      button.textContent = type.toUpperCase();
+      button.addEventListener("click", () => {
+        const svg = figure.querySelector("svg");
+        if (!svg) return;
+        const save = type === "svg" ? downloadSvg : downloadPng;
+        save(svg, figure.dataset.name);
+      });
+      caption.appendChild(button);
+    });
+  });
+}
+
+document.getElementById("chartGranularity").addEventListener("change", () => {
+  displayCharts(currentActivity);
+});
+
+// Filters and redaction go with every request, so all views show the same rows
+function requestParams() {
+  const params = { filters: JSON.stringify(currentFilters) };
+  if (currentRedaction) params.redact = JSON.stringify(currentRedaction);
+  return params;
+}
+
+function participantParams() {
+  return new URLSearchParams({
+    ...requestParams(),
+    gap: document.getElementById("conversationGap").value,
+  }).toString();
+}
+
+async function loadParticipants() {
+  try {
+    const response = await fetch(`/api/analytics/${sessionId}?${participantParams()}`);
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || "Failed to load analytics");
+    participants = data.participants;
+    document.getElementById("participantsCsv").href = `/download/${sessionId}/analytics?format=csv&${participantParams()}`;
+    displayParticipants();
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+function displayParticipants() {
+  const { column, order } = participantSort;
+  const direction = order === "desc" ? -1 : 1;
+  const sorted = [...participants].sort((a, b) => {
+    if (typeof a[column] === "number" || typeof b[column] === "number") {
+      return direction * ((a[column] ?? -Infinity) - (b[column] ?? -Infinity));
+    }
+    return direction * String(a[column] ?? "").localeCompare(String(b[column] ?? ""));
+  });
+
+  document.getElementById("participantsHead").innerHTML = `<tr>${participantColumns.map(c => {
+    const arrow = c.id === column ? (order === "desc" ? " ▼" : " ▲") : "";
+    return `<th data-column="${c.id}">${c.label}${arrow}</th>`;
+  }).join("")}</tr>`;
+
+  document.getElementById("participantsBody").innerHTML = sorted.length
+    ? sorted.map(p => `<tr>${participantColumns.map(c => `<td>${escapeHtml(String(p[c.id] ?? "–"))}</td>`).join("")}</tr>`).join("")
+    : `<tr><td colspan="${participantColumns.length}">No messages match the filters</td></tr>`;
+}
+
+document.getElementById("participantsHead").addEventListener("click", (e) => {
+  const th = e.target.closest("th[data-column]");
+  if (!th) return;
+  if (participantSort.column === th.dataset.column) {
+    participantSort.order = participantSort.order === "desc" ? "asc" : "desc";
+  } else {
+    participantSort.column = th.dataset.column;
+    participantSort.order = th.dataset.column === "sender" ? "asc" : "desc";
+  }
+  displayParticipants();
+});
+
+async function loadConversations() {
+  const params = new URLSearchParams({
+    ...requestParams(),
+    page: conversationState.page,
+    pageSize: 20,
+    order: conversationState.order,
+  });
+  if (conversationState.sort) params.set("sort", conversationState.sort);
+
+  try {
+    const response = await fetch(`/api/conversations/${sessionId}?${params}`);
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || "Failed to load conversations");
+    displayConversations(data);
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+function displayConversations(data) {
+  Object.assign(conversationState, { page: data.page, pages: data.pages });
+
+  document.getElementById("conversationsNote").textContent =
+    `${data.total.toLocaleString()} conversation(s), split after ${data.gapMinutes} minutes without messages.`;
+  document.getElementById("conversationsHead").innerHTML = `<tr>${conversationColumns.map(c => {
+    const arrow = conversationState.sort === c.id ? (conversationState.order === "desc" ? " ▼" : " ▲") : "";
+    return `<th data-column="${c.id}">${c.label}${arrow}</th>`;
+  }).join("")}</tr>`;
+  document.getElementById("conversationsBody").innerHTML = data.rows.map(c =>
+    `<tr>${conversationColumns.map(col => `<td>${escapeHtml(String(c[col.id] ?? ""))}</td>`).join("")}</tr>`
+  ).join("");
+
+  document.getElementById("conversationsPageInfo").textContent = `Page ${data.page} of ${data.pages}`;
+  document.getElementById("prevConversations").disabled = data.page <= 1;
+  document.getElementById("nextConversations").disabled = data.page >= data.pages;
+  document.getElementById("conversationsCsv").href =
+    `/download/${sessionId}/conversations?${new URLSearchParams({ format: "csv", ...requestParams() })}`;
+}
+
+document.getElementById("conversationsHead").addEventListener("click", (e) => {
+  const th = e.target.closest("th[data-column]");
+  if (!th) return;
+  if (conversationState.sort === th.dataset.column) {
+    conversationState.order = conversationState.order === "asc" ? "desc" : "asc";
+  } else {
+    conversationState.sort = th.dataset.column;
+    conversationState.order = "asc";
+  }
+  conversationState.page = 1;
+  loadConversations();
+});
+
+document.getElementById("prevConversations").addEventListener("click", () => {
+  conversationState.page--;
+  loadConversations();
+});
+
+document.getElementById("nextConversations").addEventListener("click", () => {
+  conversationState.page++;
+  loadConversations();
+});
+
+function updateLinksDownload() {
+  document.getElementById("linksCsv").href =
+    `/download/${sessionId}/links?${new URLSearchParams({ format: "csv", ...requestParams() })}`;
+}
+
+function vocabularyParams() {
+  return new URLSearchParams({
+    ...requestParams(),
+    lang: document.getElementById("vocabularyLanguage").value,
+  }).toString();
+}
+
+async function loadVocabulary() {
+  try {
+    const response = await fetch(`/api/vocabulary/${sessionId}?${vocabularyParams()}`);
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || "Failed to load word statistics");
+    displayVocabulary(data);
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+// Horizontal bars scaled to the most frequent item
+function displayRanking(id, items) {
+  const max = items.length ? items[0].count : 1;
+  document.getElementById(id).innerHTML = items.length
+    ? items.map(item => `
+      <div class="rank-row">
+        <span title="${escapeHtml(item.term)}">${escapeHtml(item.term)}</span>
+        <div class="rank-bar" style="width: ${Math.max(item.count / max * 100, 2)}%"></div>
+        <span>${item.count.toLocaleString()}</span>
+      </div>
+    `).join("")
+    : `<p class="note">Nothing to show</p>`;
+}
+
+function displayVocabulary(data) {
+  displayRanking("topEmojis", data.emojis.slice(0, 10));
+  displayRanking("topWords", data.words.slice(0, 15));
+  displayRanking("topBigrams", data.bigrams.slice(0, 15));
+
+  document.getElementById("vocabularyBody").innerHTML = Object.entries(data.perSender).map(([sender, stats]) => `
+    <tr>
+      <td>${escapeHtml(sender)}</td>
+      <td>${escapeHtml(stats.emojis.slice(0, 5).map(e => e.term).join(" ")) || "–"}</td>
+      <td>${escapeHtml(stats.distinctiveWords.slice(0, 6).map(w => w.term).join(", ")) || "–"}</td>
+    </tr>
+  `).join("");
+
+  document.getElementById("vocabularyCsv").href = `/download/${sessionId}/vocabulary?${vocabularyParams()}`;
+}
+
+document.getElementById("vocabularyLanguage").addEventListener("change", loadVocabulary);
+
+// A new gap re-splits the whole session, so every view that shows it reloads
+document.getElementById("conversationGap").addEventListener("change", async (e) => {
+  try {
+    const response = await fetch(`/api/conversations/${sessionId}/segment`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ gap: e.target.value }),
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || "Failed to split conversations");
+
+    e.target.value = data.gapMinutes;
+    conversationState.page = 1;
+    loadParticipants();
+    loadConversations();
+    loadPage();
+  } catch (error) {
+    alert("Error splitting conversations: " + error.message);
+  }
+});
+
+function displayFormats(formats, timezones) {
+  const note = document.getElementById("formatNote");
+  const parts = formats.map(f => {
+    const how = f.date.source === "override" ? "as selected" : `${f.date.confidence} confidence`;
+    const prefix = formats.length > 1 ? `${f.file}: ` : "";
+    return `${prefix}Dates read as ${f.date.pattern} (${how}), lines like "${f.line.example}"`;
+  });
+  if (timezones) {
+    parts.push(timezones.sourceTimezone === timezones.outputTimezone
+      ? `Times in ${timezones.sourceTimezone}`
+      : `Times converted from ${timezones.sourceTimezone} to ${timezones.outputTimezone}`);
+  }
+  note.textContent = parts.join(" · ");
+}
+
+function displayMediaOption(mediaFiles, warnings) {
+  document.getElementById("mediaBundleOption").hidden = !mediaFiles;
+  if (!mediaFiles) return;
+
+  const listOf = list => `${list.slice(0, 5).map(w => w.file).join(", ")}${list.length > 5 ? "…" : ""}`;
+  const notFound = warnings.filter(w => !w.ambiguous);
+  const ambiguous = warnings.filter(w => w.ambiguous);
+  const missing = notFound.length
+    ? ` ${notFound.length} referenced file(s) were not found: ${listOf(notFound)}`
+    : "";
+  const unclear = ambiguous.length
+    ? ` ${ambiguous.length} reference(s) matched more than one file, the first was used: ${listOf(ambiguous)}`
+    : "";
+  document.getElementById("mediaNote").textContent = `${mediaFiles} attachment(s) in the archive.${missing}${unclear}`;
+}
+
+function displayChats(chats, stats) {
+  const multiple = chats.length > 1;
+  document.getElementById("chatFilterField").hidden = !multiple;
+  document.getElementById("splitChatsOption").hidden = !multiple;
+
+  const select = document.getElementById("chatFilter");
+  const selected = select.value;
+  select.innerHTML = `<option value="all">All Chats</option>`;
+  chats.forEach(chat => {
+    const option = document.createElement("option");
+    option.value = chat.name;
+    option.textContent = chat.name;
+    select.appendChild(option);
+  });
+  select.value = chats.some(c => c.name === selected) ? selected : "all";
+
+  displayChatComparison(chats, stats);
+  displayMergeReport(chats);
+  setupDiffPanel(chats);
+}
+
+// Sender names as exported, each with the name it is shown as
+async function loadSenders() {
+  try {
+    const response = await fetch(`/api/senders/${sessionId}`);
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || "Failed to load senders");
+    displaySenders(data.senders);
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+function displaySenders(senders) {
+  const body = document.getElementById("sendersBody");
+  body.innerHTML = "";
   senders.forEach(sender => {
+    const row = document.createElement("tr");
+    row.innerHTML = `<td>${escapeHtml(sender.name)}</td><td>${sender.messages.toLocaleString()}</td><td><input type="text" list="senderNames" /></td>`;
+    const input = row.querySelector("input");
+    input.dataset.name = sender.name;
+    input.value = sender.alias;
+    input.placeholder = sender.name;
+    body.appendChild(row);
+  });
+
+  // Existing names are offered as suggestions, which makes merging one pick
+  const names = [...new Set(senders.map(s => s.alias || s.name))].sort();
+  const list = document.getElementById("senderNames");
+  list.innerHTML = "";
+  names.forEach(name => list.appendChild(new Option(name)));
+}
+
+async function saveSenderAliases(aliases) {
+  const response = await fetch(`/api/senders/${sessionId}/aliases`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ aliases }),
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || "Failed to rename senders");
+  await loadData();
+}
+
+document.getElementById("saveSenders").addEventListener("click", async () => {
+  const aliases = {};
+  document.querySelectorAll("#sendersBody input").forEach(input => {
+    if (input.value.trim()) aliases[input.dataset.name] = input.value.trim();
+  });
+  try {
+    await saveSenderAliases(aliases);
+  } catch (error) {
+    alert("Error renaming senders: " + error.message);
+  }
+});
+
+document.getElementById("resetSenders").addEventListener("click", async () => {
+  try {
+    await saveSenderAliases({});
+    document.getElementById("contactsNote").textContent = "";
+  } catch (error) {
+    alert("Error renaming senders: " + error.message);
+  }
+});
+
+const contactsInput = document.getElementById("contactsFile");
+
+contactsInput.addEventListener("change", () => {
+  const count = contactsInput.files ? contactsInput.files.length : 0;
+  document.getElementById("contactsFileName").textContent = count > 1
+    ? `${count} files selected`
+    : count === 1 ? contactsInput.files[0].name : "Name phone numbers from your contacts (.vcf)";
+});
+
+document.getElementById("contactsBtn").addEventListener("click", async () => {
+  if (!contactsInput.files || !contactsInput.files.length) {
+    alert("Please select a contacts file");
+    return;
+  }
+
+  const button = document.getElementById("contactsBtn");
+  button.disabled = true;
+
+  const formData = new FormData();
+  for (const file of contactsInput.files) {
+    formData.append("contactsFile", file);
+  }
+
+  try {
+    const response = await fetch(`/api/senders/${sessionId}/contacts`, {
+      method: "POST",
+      body: formData,
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || "Import failed");
+
+    contactsInput.value = "";
+    document.getElementById("contactsFileName").textContent = "Name phone numbers from your contacts (.vcf)";
+    document.getElementById("contactsNote").textContent =
+      `Named ${data.matched} sender(s) from ${data.contacts.toLocaleString()} contact(s).`;
+    await loadData();
+  } catch (error) {
+    alert("Error importing contacts: " + error.message);
+  } finally {
+    button.disabled = false;
+  }
+});
+
+function setupDiffPanel(chats) {
+  document.getElementById("diffPanel").hidden = chats.length < 2;
+  if (chats.length < 2) return;
+
+  ["diffA", "diffB"].forEach((id, i) => {
+    const select = document.getElementById(id);
+    const selected = select.value;
+    select.innerHTML = chats.map(chat =>
+      `<option value="${escapeHtml(chat.name)}">${escapeHtml(chat.name)}</option>`
+    ).join("");
+    select.value = chats.some(c => c.name === selected) ? selected : chats[Math.min(i, chats.length - 1)].name;
+  });
+}
+
+function displayDiff(report) {
+  const statusLabels = { only_in_a: "Only in A", only_in_b: "Only in B", changed: "Changed" };
+  const gaps = report.gaps.length
+    ? `<p class="note">Days missing from one export: ${report.gaps.map(g =>
+        `${g.start === g.end ? g.start : `${g.start} – ${g.end}`} (not in ${g.missingFrom.toUpperCase()})`
+      ).join(", ")}</p>`
+    : "";
+  const shown = report.differences.slice(0, 50);
+
+  document.getElementById("diffResult").innerHTML = `
+    <p class="note">
+      A: ${report.a.messages.toLocaleString()} messages (${report.a.dateRange.start || "N/A"} – ${report.a.dateRange.end || "N/A"}) ·
+      B: ${report.b.messages.toLocaleString()} messages (${report.b.dateRange.start || "N/A"} – ${report.b.dateRange.end || "N/A"})<br />
+      ${report.summary.identical.toLocaleString()} identical · ${report.summary.onlyInA} only in A ·
+      ${report.summary.onlyInB} only in B · ${report.summary.changed} changed
+    </p>
+    ${gaps}
+    ${shown.length ? `
+    <div class="table-container">
+      <table>
+        <thead><tr><th>Status</th><th>Date</th><th>Time</th><th>Sender</th><th>Message</th><th>Other Version</th></tr></thead>
+        <tbody>
+          ${shown.map(d => `<tr>
+            <td>${statusLabels[d.status]}${d.change ? ` (${d.change})` : ""}</td>
+            <td>${escapeHtml(d.date)}</td>
+            <td>${escapeHtml(d.time)}</td>
+            <td>${escapeHtml(d.sender)}</td>
+            <td>${escapeHtml(d.message)}</td>
+            <td>${escapeHtml(d.otherMessage)}</td>
+          </tr>`).join("")}
+        </tbody>
+      </table>
+    </div>
+    <p class="note">Showing ${shown.length} of ${report.differences.length} differences</p>
+    ` : ""}
+  `;
+}
+
+function displayMergeReport(chats) {
+  const merged = chats.filter(c => c.sources);
+  document.getElementById("mergeNote").textContent = merged.map(chat => {
+    const sources = chat.sources
+      .map(s => `${s.file}: ${s.added.toLocaleString()} of ${s.messages.toLocaleString()} added`)
+      .join(", ");
+    return `${chat.name} merged from ${chat.sources.length} exports (${sources}); ${chat.duplicatesDropped.toLocaleString()} duplicates dropped.`;
+  }).join(" ");
+}
+
+function displayChatComparison(chats, stats) {
+  const perChat = stats.perChat || (chats.length === 1 ? { [chats[0].name]: stats } : {});
+  document.getElementById("chatsBody").innerHTML = chats.map(chat => {
+    const s = perChat[chat.name];
+    if (!s) {
+      return `<tr><td>${escapeHtml(chat.name)}</td><td>${escapeHtml(chat.sourceFile)}</td><td colspan="6">No messages match the filters</td></tr>`;
+    }
+    return `<tr>
+      <td>${escapeHtml(chat.name)}</td>
+      <td>${escapeHtml(chat.sourceFile)}</td>
+      <td>${s.totalMessages.toLocaleString()}</td>
+      <td>${s.uniqueSenders}</td>
+      <td>${s.totalWords.toLocaleString()}</td>
+      <td>${s.mediaCount}</td>
+      <td>${s.dateRange.start || "N/A"}</td>
+      <td>${s.dateRange.end || "N/A"}</td>
+    </tr>`;
+  }).join("");
+}
+
+function displaySessionNote(expiresAt) {
+  const note = document.getElementById("sessionNote");
+  note.textContent = expiresAt
+    ? `You can export as often as you like. This session is deleted if unused until ${new Date(expiresAt).toLocaleTimeString()}.`
+    : "";
+}
+
+function populateSenderFilter(senders) {
+  ["senderFilter", "excludeSenders"].forEach(id => {
+    const select = document.getElementById(id);
+    const selected = Array.from(select.selectedOptions).map(o => o.value);
+    select.innerHTML = "";
+    senders.forEach(sender => {
+      const option = document.createElement("option");
+      option.value = sender;
+      option.textContent = sender;
+      option.selected = selected.includes(sender);
+      select.appendChild(option);
+    });
+  });
+}
+
+function populateDayFilter() {
+  const container = document.getElementById("dayFilter");
+  if (container.children.length) return;
+  container.innerHTML = weekdays.map(day => `
+    <label class="checkbox-label">
+      <input type="checkbox" value="${day}" />
+      ${day.slice(0, 3)}
+    </label>
+  `).join("");
+}
+
+function populateTypeFilter() {
+  const select = document.getElementById("typeFilter");
+  if (select.options.length > 1) return;
+  messageTypes.forEach(type => {
     const option = document.createElement("option");
-    option.value = sender;
-    option.textContent = sender;
+    option.value = type.id;
+    option.textContent = type.label;
     select.appendChild(option);
   });
 }
@@ -132,74 +757,502 @@ function setupColumns() {
     </label>
   `).join("");
   
+  // Newly ticked columns go to the end; the order list below rearranges them
   container.querySelectorAll("input[type='checkbox']").forEach(cb => {
     cb.addEventListener("change", () => {
-      selectedColumns = Array.from(container.querySelectorAll("input[type='checkbox']:checked"))
-        .map(cb => cb.value);
+      selectedColumns = cb.checked
+        ? [...selectedColumns, cb.value]
+        : selectedColumns.filter(col => col !== cb.value);
+      displayColumnOrder();
+      if (currentPage) displayPreview(currentPage);
     });
   });
+  displayColumnOrder();
+}
+
+function displayColumnOrder() {
+  const list = document.getElementById("columnOrder");
+  list.innerHTML = "";
+  selectedColumns.forEach((col, i) => {
+    const item = document.createElement("li");
+    item.innerHTML = `<span></span><input type="text" /><button class="btn-link" data-move="-1" title="Move up">↑</button><button class="btn-link" data-move="1" title="Move down">↓</button>`;
+    item.querySelector("span").textContent = availableColumns.find(ac => ac.id === col)?.label || col;
+    const input = item.querySelector("input");
+    input.dataset.column = col;
+    input.value = columnLabels[col] || "";
+    input.placeholder = col;
+    item.querySelector("[data-move='-1']").disabled = i === 0;
+    item.querySelector("[data-move='1']").disabled = i === selectedColumns.length - 1;
+    item.dataset.index = i;
+    list.appendChild(item);
+  });
+}
+
+document.getElementById("columnOrder").addEventListener("click", e => {
+  const button = e.target.closest("button[data-move]");
+  if (!button) return;
+  const from = Number(button.closest("li").dataset.index);
+  const to = from + Number(button.dataset.move);
+  [selectedColumns[from], selectedColumns[to]] = [selectedColumns[to], selectedColumns[from]];
+  displayColumnOrder();
+  if (currentPage) displayPreview(currentPage);
+});
+
+document.getElementById("columnOrder").addEventListener("input", e => {
+  const col = e.target.dataset.column;
+  if (!col) return;
+  if (e.target.value.trim()) columnLabels[col] = e.target.value.trim();
+  else delete columnLabels[col];
+  if (currentPage) displayPreview(currentPage);
+});
+
+function tableParams(extra = {}) {
+  const params = new URLSearchParams({
+    ...requestParams(),
+    page: tableState.page,
+    pageSize: tableState.pageSize,
+    order: tableState.order,
+    ...extra,
+  });
+  if (tableState.sort) params.set("sort", tableState.sort);
+  if (tableState.search) params.set("search", tableState.search);
+  return params.toString();
+}
+
+// Fetches another page of the table without reloading stats
+async function loadPage() {
+  try {
+    const response = await fetch(`/api/data/${sessionId}?${tableParams({ stats: "false" })}`);
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || "Failed to load page");
+    displayPreview(data);
+  } catch (error) {
+    alert("Error loading page: " + error.message);
+  }
+}
+
+// Everything the current filters and table search look for, as one pattern
+function highlightPattern() {
+  const literal = text => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const sources = [];
+  if (tableState.search) sources.push(literal(tableState.search));
+  if (currentFilters.keyword) sources.push(literal(currentFilters.keyword));
+  if (currentFilters.query) {
+    const tokens = currentFilters.query.match(/"[^"]*"|[()]|[^\s()"]+/g) || [];
+    tokens.forEach((token, i) => {
+      if (/^(AND|OR|NOT|\(|\))$/.test(token) || tokens[i - 1] === "NOT") return;
+      const term = token.replace(/"/g, "");
+      if (term) sources.push(literal(term));
+    });
+  }
+  if (currentFilters.regex) sources.push(currentFilters.regex);
+  if (!sources.length) return null;
+
+  try {
+    return new RegExp(sources.map(source => `(?:${source})`).join("|"), "gi");
+  } catch (error) {
+    return null;
+  }
 }
 
-function displayPreview(rows) {
+function highlight(text, pattern) {
+  if (!pattern) return escapeHtml(text);
+  let html = "";
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    if (!match[0]) continue;
+    html += `${escapeHtml(text.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  return html + escapeHtml(text.slice(last));
+}
+
+function displayPreview(data) {
   const head = document.getElementById("previewHead");
   const body = document.getElementById("previewBody");
   const note = document.getElementById("previewNote");
   
-  const previewRows = rows.slice(0, 20);
+  currentPage = data;
+  tableState.page = data.page;
   const columns = selectedColumns.filter(c => availableColumns.some(ac => ac.id === c));
+  const pattern = highlightPattern();
   
-  head.innerHTML = `<tr>${columns.map(c => `<th>${availableColumns.find(ac => ac.id === c)?.label || c}</th>`).join("")}</tr>`;
-  body.innerHTML = previewRows.map(row => 
-    `<tr>${columns.map(col => `<td>${escapeHtml(String(row[col] ?? ""))}</td>`).join("")}</tr>`
+  head.innerHTML = `<tr>${columns.map(c => {
+    const label = escapeHtml(columnLabels[c] || availableColumns.find(ac => ac.id === c)?.label || c);
+    const arrow = tableState.sort === c ? (tableState.order === "desc" ? " ▼" : " ▲") : "";
+    return `<th data-column="${c}">${label}${arrow}</th>`;
+  }).join("")}<th></th></tr>`;
+  body.innerHTML = data.rows.map(row => 
+    `<tr>${columns.map(col => `<td>${highlight(String(row[col] ?? ""), pattern)}</td>`).join("")}` +
+    `<td class="row-action"><button class="btn-link" data-context="${row.index}">Context</button></td></tr>`
   ).join("");
   
-  note.textContent = `Showing ${previewRows.length} of ${rows.length} messages`;
+  const first = data.total ? (data.page - 1) * data.pageSize + 1 : 0;
+  const last = first ? first + data.rows.length - 1 : 0;
+  note.textContent = `Showing ${first.toLocaleString()}–${last.toLocaleString()} of ${data.total.toLocaleString()} messages`;
+  document.getElementById("pageInfo").textContent = `Page ${data.page} of ${data.pages}`;
+  document.getElementById("firstPage").disabled = data.page <= 1;
+  document.getElementById("prevPage").disabled = data.page <= 1;
+  document.getElementById("nextPage").disabled = data.page >= data.pages;
+  document.getElementById("lastPage").disabled = data.page >= data.pages;
 }
 
+// Sortable headers: ascending, then descending, then back to timeline order
+document.getElementById("previewHead").addEventListener("click", (e) => {
+  const th = e.target.closest("th[data-column]");
+  if (!th) return;
+  const column = th.dataset.column;
+  if (tableState.sort !== column) {
+    tableState.sort = column;
+    tableState.order = "asc";
+  } else if (tableState.order === "asc") {
+    tableState.order = "desc";
+  } else {
+    tableState.sort = "";
+    tableState.order = "asc";
+  }
+  tableState.page = 1;
+  loadPage();
+});
+
+// Jump to context: the message with its neighbours in the unfiltered timeline
+let contextIndex = null;
+
+async function showContext(index) {
+  contextIndex = index;
+  const size = document.getElementById("contextSize").value;
+  const params = new URLSearchParams({ before: size, after: size });
+  if (currentRedaction) params.set("redact", JSON.stringify(currentRedaction));
+  try {
+    const response = await fetch(`/api/context/${sessionId}/${index}?${params}`);
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || "Failed to load context");
+
+    const pattern = highlightPattern();
+    document.getElementById("contextTitle").textContent = data.chat ? `Context in ${data.chat}` : "Context";
+    document.getElementById("contextBody").innerHTML = data.rows.map(row => `
+      <tr class="${row.isMatch ? "is-match" : ""}">
+        <td>${escapeHtml(row.date)} ${escapeHtml(row.time)}</td>
+        <td>${escapeHtml(row.sender || "")}</td>
+        <td>${highlight(row.message, pattern)}</td>
+      </tr>
+    `).join("");
+
+    const panel = document.getElementById("contextPanel");
+    panel.hidden = false;
+    panel.scrollIntoView({ behavior: "smooth", block: "nearest" });
+  } catch (error) {
+    alert("Error loading context: " + error.message);
+  }
+}
+
+document.getElementById("previewBody").addEventListener("click", (e) => {
+  const button = e.target.closest("button[data-context]");
+  if (button) showContext(button.dataset.context);
+});
+
+document.getElementById("contextSize").addEventListener("change", () => {
+  if (contextIndex !== null) showContext(contextIndex);
+});
+
+document.getElementById("closeContext").addEventListener("click", () => {
+  document.getElementById("contextPanel").hidden = true;
+  contextIndex = null;
+});
+
+const pageButtons = {
+  firstPage: () => 1,
+  prevPage: () => tableState.page - 1,
+  nextPage: () => tableState.page + 1,
+  lastPage: () => currentPage ? currentPage.pages : 1,
+};
+Object.entries(pageButtons).forEach(([id, target]) => {
+  document.getElementById(id).addEventListener("click", () => {
+    tableState.page = target();
+    loadPage();
+  });
+});
+
+document.getElementById("pageSize").addEventListener("change", (e) => {
+  tableState.pageSize = Number(e.target.value);
+  tableState.page = 1;
+  loadPage();
+});
+
+let searchTimer = null;
+document.getElementById("tableSearch").addEventListener("input", (e) => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(() => {
+    tableState.search = e.target.value.trim();
+    tableState.page = 1;
+    loadPage();
+  }, 300);
+});
+
 function escapeHtml(text) {
   const div = document.createElement("div");
   div.textContent = text;
   return div.innerHTML;
 }
 
-// Apply filters
-document.getElementById("applyFilters").addEventListener("click", async () => {
+// Filters: the form and the shareable filter string hold the same JSON
+const numberFilters = ["minLength", "maxLength", "minWords", "maxWords"];
+
+function selectedValues(select) {
+  return Array.from(select.selectedOptions).map(o => o.value);
+}
+
+function readFilterForm() {
   const filters = {
-    sender: document.getElementById("senderFilter").value,
+    chat: document.getElementById("chatFilter").value,
+    sender: selectedValues(document.getElementById("senderFilter")),
+    excludeSenders: selectedValues(document.getElementById("excludeSenders")),
     dateFrom: document.getElementById("dateFrom").value,
     dateTo: document.getElementById("dateTo").value,
-    keyword: document.getElementById("keywordFilter").value.trim(),
+    timeFrom: document.getElementById("timeFrom").value,
+    timeTo: document.getElementById("timeTo").value,
+    days: Array.from(document.querySelectorAll("#dayFilter input:checked")).map(cb => cb.value),
+    messageType: document.getElementById("typeFilter").value,
+    hideSystem: document.getElementById("hideSystem").checked,
+    mediaType: document.getElementById("mediaTypeFilter").value,
+    conversationId: document.getElementById("conversationFilter").value,
+    firstInConversation: document.getElementById("firstInConversation").checked,
+    linksOnly: document.getElementById("linksOnly").checked,
+    domain: document.getElementById("domainFilter").value.split(",").map(d => d.trim()).filter(Boolean),
   };
-  
+
+  const text = document.getElementById("keywordFilter").value.trim();
+  if (text) filters[document.getElementById("keywordMode").value] = text;
+
+  const hasMedia = document.getElementById("hasMedia").value;
+  if (hasMedia) filters.hasMedia = hasMedia === "true";
+
+  numberFilters.forEach(id => {
+    const value = document.getElementById(id).value;
+    if (value !== "") filters[id] = Number(value);
+  });
+
+  // Leave out empty fields so saved strings stay short
+  Object.keys(filters).forEach(key => {
+    const value = filters[key];
+    if (value === "" || value === "all" || value === false && key !== "hasMedia" ||
+        Array.isArray(value) && !value.length) {
+      delete filters[key];
+    }
+  });
+  return filters;
+}
+
+function fillFilterForm(filters) {
+  const list = value => value === undefined ? [] : [].concat(value);
+  const setSelected = (id, values) => {
+    Array.from(document.getElementById(id).options).forEach(o => { o.selected = values.includes(o.value); });
+  };
+
+  document.getElementById("chatFilter").value = filters.chat || "all";
+  setSelected("senderFilter", list(filters.sender));
+  setSelected("excludeSenders", list(filters.excludeSenders));
+  document.getElementById("dateFrom").value = filters.dateFrom || "";
+  document.getElementById("dateTo").value = filters.dateTo || "";
+  document.getElementById("timeFrom").value = filters.timeFrom || "";
+  document.getElementById("timeTo").value = filters.timeTo || "";
+  document.querySelectorAll("#dayFilter input").forEach(cb => {
+    cb.checked = list(filters.days).includes(cb.value);
+  });
+  document.getElementById("typeFilter").value = list(filters.messageType)[0] || "all";
+  document.getElementById("hideSystem").checked = !!filters.hideSystem;
+  document.getElementById("mediaTypeFilter").value = list(filters.mediaType)[0] || "all";
+  document.getElementById("hasMedia").value = filters.hasMedia === undefined ? "" : String(filters.hasMedia);
+  document.getElementById("conversationFilter").value = list(filters.conversationId)[0] || "";
+  document.getElementById("firstInConversation").checked = !!filters.firstInConversation;
+  document.getElementById("linksOnly").checked = !!filters.linksOnly;
+  document.getElementById("domainFilter").value = list(filters.domain).join(", ");
+  numberFilters.forEach(id => {
+    document.getElementById(id).value = filters[id] ?? "";
+  });
+
+  const mode = ["regex", "query", "keyword"].find(m => filters[m]) || "keyword";
+  document.getElementById("keywordMode").value = mode;
+  document.getElementById("keywordFilter").value = filters[mode] || "";
+}
+
+async function applyFilters(filters) {
+  const response = await fetch(`/api/filter/${sessionId}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ filters, redact: currentRedaction, ...tableState, page: 1 }),
+  });
+
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || "Filter failed");
+
   currentFilters = filters;
-  
+  document.getElementById("filterString").value = Object.keys(filters).length ? JSON.stringify(filters) : "";
+  displayStats(data.stats);
+  displayCharts(data.activity);
+  loadParticipants();
+  conversationState.page = 1;
+  loadConversations();
+  loadVocabulary();
+  updateLinksDownload();
+  if (currentData && currentData.chats) {
+    displayChatComparison(currentData.chats, data.stats);
+  }
+  displayPreview(data);
+}
+
+// Apply filters
+document.getElementById("applyFilters").addEventListener("click", async () => {
   try {
-    const response = await fetch(`/api/filter/${sessionId}`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ filters }),
-    });
-    
-    if (!response.ok) throw new Error("Filter failed");
-    
-    const data = await response.json();
-    displayStats(data.stats);
-    displayPreview(data.rows);
+    await applyFilters(readFilterForm());
   } catch (error) {
     alert("Error applying filters: " + error.message);
   }
 });
 
+// Load a filter string someone shared
+document.getElementById("loadFilter").addEventListener("click", async () => {
+  try {
+    const filters = JSON.parse(document.getElementById("filterString").value || "{}");
+    await applyFilters(filters);
+    fillFilterForm(filters);
+  } catch (error) {
+    alert("Error loading filter: " + error.message);
+  }
+});
+
+document.getElementById("copyFilter").addEventListener("click", async () => {
+  const text = JSON.stringify(readFilterForm());
+  document.getElementById("filterString").value = text;
+  try {
+    await navigator.clipboard.writeText(text);
+  } catch (error) {
+    document.getElementById("filterString").select();
+  }
+});
+
 // Clear filters
 document.getElementById("clearFilters").addEventListener("click", () => {
-  document.getElementById("senderFilter").value = "all";
-  document.getElementById("dateFrom").value = "";
-  document.getElementById("dateTo").value = "";
-  document.getElementById("keywordFilter").value = "";
+  fillFilterForm({});
+  document.getElementById("filterString").value = "";
   currentFilters = {};
+  tableState.page = 1;
   loadData();
 });
 
+// Append more exports to this session
+const appendInput = document.getElementById("appendFiles");
+
+appendInput.addEventListener("change", () => {
+  const count = appendInput.files ? appendInput.files.length : 0;
+  document.getElementById("appendFileName").textContent = count > 1
+    ? `${count} files selected`
+    : count === 1 ? appendInput.files[0].name : "Add more exports of this chat (.txt or .zip)";
+});
+
+document.getElementById("appendBtn").addEventListener("click", async () => {
+  if (!appendInput.files || !appendInput.files.length) {
+    alert("Please select a file");
+    return;
+  }
+
+  const button = document.getElementById("appendBtn");
+  button.disabled = true;
+
+  const formData = new FormData();
+  for (const file of appendInput.files) {
+    formData.append("chatFile", file);
+  }
+
+  try {
+    const response = await fetch(`/upload/${sessionId}/append`, {
+      method: "POST",
+      body: formData,
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || "Append failed");
+
+    appendInput.value = "";
+    document.getElementById("appendFileName").textContent = "Add more exports of this chat (.txt or .zip)";
+    await loadData();
+  } catch (error) {
+    alert("Error adding files: " + error.message);
+  } finally {
+    button.disabled = false;
+  }
+});
+
+// Compare two exports
+document.getElementById("diffBtn").addEventListener("click", async () => {
+  const params = new URLSearchParams({
+    a: document.getElementById("diffA").value,
+    b: document.getElementById("diffB").value,
+  });
+  if (currentRedaction) params.set("redact", JSON.stringify(currentRedaction));
+
+  try {
+    const response = await fetch(`/api/diff/${sessionId}?${params.toString()}`);
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || "Compare failed");
+
+    displayDiff(data);
+    ["csv", "json"].forEach(format => {
+      const link = document.getElementById(format === "csv" ? "diffCsv" : "diffJson");
+      params.set("format", format);
+      link.href = `/download/${sessionId}/diff?${params.toString()}`;
+      link.hidden = false;
+    });
+  } catch (error) {
+    alert("Error comparing exports: " + error.message);
+  }
+});
+
+// Delete session
+document.getElementById("deleteSession").addEventListener("click", async () => {
+  if (!confirm("Delete this session and its uploaded data?")) return;
+
+  try {
+    const response = await fetch(`/api/session/${sessionId}`, { method: "DELETE" });
+    if (!response.ok && response.status !== 404) throw new Error("Delete failed");
+    window.location.href = "/";
+  } catch (error) {
+    alert("Error deleting session: " + error.message);
+  }
+});
+
+// Redaction applies to the preview as well as every export
+function readRedactionForm() {
+  if (!document.getElementById("redactEnabled").checked) return null;
+  return {
+    senders: document.getElementById("redactSenders").value,
+    salt: document.getElementById("redactSalt").value.trim(),
+    names: document.getElementById("redactNames").checked,
+    contacts: document.getElementById("redactContacts").checked,
+    urls: document.getElementById("redactUrls").checked,
+    mediaNames: document.getElementById("redactMedia").checked,
+  };
+}
+
+function updateRedactionKey() {
+  const options = readRedactionForm() || { senders: document.getElementById("redactSenders").value };
+  document.getElementById("redactionKey").href =
+    `/download/${sessionId}/redaction-key?${new URLSearchParams({ redact: JSON.stringify(options) })}`;
+}
+
+for (const id of ["redactEnabled", "redactSenders", "redactSalt", "redactNames", "redactContacts", "redactUrls", "redactMedia"]) {
+  document.getElementById(id).addEventListener("change", () => {
+    currentRedaction = readRedactionForm();
+    document.getElementById("redactSalt").hidden = document.getElementById("redactSenders").value !== "hash";
+    // Attachments can't be bundled with a redacted export
+    const bundle = document.getElementById("bundleMedia");
+    bundle.disabled = Boolean(currentRedaction);
+    if (currentRedaction) bundle.checked = false;
+    updateRedactionKey();
+    tableState.page = 1;
+    loadData();
+  });
+}
+
 // Export
 document.getElementById("exportBtn").addEventListener("click", () => {
   const format = document.getElementById("exportFormat").value;
@@ -210,12 +1263,60 @@ document.getElementById("exportBtn").addEventListener("click", () => {
     format,
     columns,
     delimiter,
-    filters: JSON.stringify(currentFilters),
+    ...requestParams(),
   });
   
+  if (document.getElementById("splitByChat").checked) {
+    params.set("split", "chat");
+  }
+  
+  if (document.getElementById("bundleMedia").checked) {
+    params.set("bundle", "media");
+  }
+  
+  if (format === "json" && document.getElementById("jsonEnvelope").checked) {
+    params.set("envelope", "true");
+  }
+  
+  if (format === "sql") {
+    params.set("dialect", document.getElementById("sqlDialect").value);
+  }
+  
+  if (format === "csv") {
+    params.set("lineEnding", document.getElementById("csvLineEnding").value);
+    params.set("quote", document.getElementById("csvQuote").value);
+    params.set("newlines", document.getElementById("csvNewlines").value);
+    params.set("bom", document.getElementById("csvBom").checked);
+    params.set("formulaGuard", document.getElementById("csvFormulaGuard").checked);
+  }
+  
+  if (Object.keys(columnLabels).length) {
+    params.set("labels", JSON.stringify(columnLabels));
+  }
+  
+  for (const key of ["dateFormat", "timeFormat"]) {
+    const pattern = document.getElementById(key).value.trim();
+    if (pattern) params.set(key, pattern);
+  }
+  
+  if (format === "excel") {
+    if (document.getElementById("summarySheets").checked) {
+      params.set("gap", document.getElementById("conversationGap").value);
+    } else {
+      params.set("summary", "false");
+    }
+  }
+  
+  const contextRows = parseInt(document.getElementById("contextRows").value);
+  if (contextRows > 0) {
+    params.set("context", contextRows);
+  }
+  
   window.location.href = `/download/${sessionId}?${params.toString()}`;
 });
 
 // Initialize
+setupChartDownloads();
+updateRedactionKey();
 loadData();
 
@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { readOutputOptions, csvCell, toCsv } = require("../app");
+
+const optionsOf = query => readOutputOptions(query).options;
+
+test("the defaults are the original output: every field quoted, LF, no BOM", () => {
+  const rows = [{ date: "2024-03-20", time: "12:00:00", sender: "Ann", message: 'say "hi"' }];
+  assert.equal(toCsv(rows, undefined, ",", optionsOf({})),
+    '"date","time","sender","message"\n"2024-03-20","12:00:00","Ann","say ""hi"""');
+});
+
+test("minimal quoting only quotes fields that need it", () => {
+  const options = optionsOf({ quote: "minimal" });
+  assert.equal(csvCell("plain", ",", options), "plain");
+  assert.equal(csvCell("a,b", ",", options), '"a,b"');
+  assert.equal(csvCell("a;b", ",", options), "a;b");
+  assert.equal(csvCell("a;b", ";", options), '"a;b"');
+  assert.equal(csvCell('say "hi"', ",", options), '"say ""hi"""');
+  assert.equal(csvCell("two\nlines", ",", options), '"two\nlines"');
+  assert.equal(csvCell(" padded", ",", options), '" padded"');
+  assert.equal(csvCell("", ",", options), "");
+});
+
+test("nonnumeric quoting leaves numbers bare", () => {
+  const options = optionsOf({ quote: "nonnumeric" });
+  assert.equal(csvCell(42, ",", options), "42");
+  assert.equal(csvCell(true, ",", options), "true");
+  assert.equal(csvCell("42", ",", options), '"42"');
+});
+
+test("newlines can be kept, escaped or flattened", () => {
+  assert.equal(csvCell("a\r\nb", ",", optionsOf({ newlines: "keep" })), '"a\r\nb"');
+  assert.equal(csvCell("a\nb\\c", ",", optionsOf({ newlines: "escape", quote: "minimal" })), "a\\nb\\\\c");
+  assert.equal(csvCell("a  \n  b", ",", optionsOf({ newlines: "flatten", quote: "minimal" })), "a b");
+});
+
+test("the formula guard prefixes cells a spreadsheet would run", () => {
+  const options = optionsOf({ formulaGuard: "true", quote: "minimal" });
+  for (const text of ["=1+1", "+1", "-1", "@SUM(A1)", "=HYPERLINK(\"http://x\")"]) {
+    assert.equal(csvCell(text, ",", options).replace(/^"|"$/g, "").replace(/""/g, '"'), `'${text}`);
+  }
+  assert.equal(csvCell("\tindent", ",", options), "'\tindent");
+  assert.equal(csvCell("a = b", ",", options), "a = b");
+  assert.equal(csvCell(-5, ",", options), "-5");
+});
+
+test("the formula guard is off unless asked for", () => {
+  assert.equal(csvCell("=1+1", ",", optionsOf({ quote: "minimal" })), "=1+1");
+});
+
+test("the formula guard also covers header labels and flattened messages", () => {
+  const options = optionsOf({ formulaGuard: "true", quote: "minimal", newlines: "flatten", labels: '{"message":"=Text"}' });
+  assert.equal(toCsv([{ message: "=cmd\nmore" }], ["message"], ",", options), "'=Text\n'=cmd more");
+});
+
+test("BOM and CRLF line endings", () => {
+  const options = optionsOf({ bom: "true", lineEnding: "crlf", quote: "minimal" });
+  assert.equal(toCsv([{ message: "a" }, { message: "b" }], ["message"], ",", options), "﻿message\r\na\r\nb");
+});
+
+test("unknown dialect options are refused", () => {
+  assert.match(readOutputOptions({ quote: "some" }).error, /Unknown quoting/);
+  assert.match(readOutputOptions({ newlines: "drop" }).error, /Unknown newline handling/);
+  assert.match(readOutputOptions({ lineEnding: "cr" }).error, /Line ending/);
+  assert.match(readOutputOptions({ quote: ["all", "minimal"] }).error, /must be given once/);
+});
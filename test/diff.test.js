@@ -0,0 +1,45 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { diffChatRows } = require("../app");
+
+const row = (time, sender, message, extra = {}) =>
+  ({ date: "2024-05-01", time, datetime: `2024-05-01T${time}.000Z`, sender, message, ...extra });
+
+test("identical exports have no differences", () => {
+  const rows = [row("09:00:00", "Alice", "hi"), row("09:01:00", "Bob", "hey")];
+  const report = diffChatRows(rows, rows.map(r => ({ ...r })));
+  assert.deepEqual(report.summary, { identical: 2, onlyInA: 0, onlyInB: 0, changed: 0 });
+  assert.deepEqual(report.differences, []);
+});
+
+test("messages only in one export are reported in timeline order", () => {
+  const a = [row("09:00:00", "Alice", "hi"), row("09:05:00", "Alice", "gone")];
+  const b = [row("09:00:00", "Alice", "hi"), row("09:02:00", "Bob", "new")];
+  const report = diffChatRows(a, b);
+  assert.deepEqual(report.summary, { identical: 1, onlyInA: 1, onlyInB: 1, changed: 0 });
+  assert.deepEqual(report.differences.map(d => [d.status, d.message]), [["only_in_b", "new"], ["only_in_a", "gone"]]);
+});
+
+test("same time and sender with other text is an edit or a deletion", () => {
+  const a = [row("09:00:00", "Alice", "see you at 5"), row("09:01:00", "Bob", "secret")];
+  const b = [row("09:00:00", "Alice", "see you at 6"), row("09:01:00", "Bob", "This message was deleted", { messageType: "deleted" })];
+  const report = diffChatRows(a, b);
+  assert.deepEqual(report.summary, { identical: 0, onlyInA: 0, onlyInB: 0, changed: 2 });
+  assert.deepEqual(report.differences.map(d => [d.change, d.message, d.otherMessage]), [
+    ["edited", "see you at 5", "see you at 6"],
+    ["deleted", "secret", "This message was deleted"],
+  ]);
+});
+
+test("repeated messages are matched one for one", () => {
+  const a = [row("09:00:00", "Alice", "ok"), row("09:00:00", "Alice", "ok")];
+  const report = diffChatRows(a, [row("09:00:00", "Alice", "ok")]);
+  assert.deepEqual(report.summary, { identical: 1, onlyInA: 1, onlyInB: 0, changed: 0 });
+});
+
+test("the report gives each side's size and date range", () => {
+  const a = [row("09:00:00", "Alice", "hi"), { ...row("09:00:00", "Bob", "later"), date: "2024-05-09", datetime: "2024-05-09T09:00:00.000Z" }];
+  const report = diffChatRows(a, []);
+  assert.deepEqual(report.a, { messages: 2, dateRange: { start: "2024-05-01", end: "2024-05-09" } });
+  assert.equal(report.b.messages, 0);
+});
@@ -0,0 +1,45 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { app } = require("../app");
+
+const CHAT = [
+  "01/05/2024, 09:00 - Ann: see https://example.com",
+  "01/05/2024, 09:01 - Ben: nice one",
+].join("\n");
+
+test("downloads named after an upload with quotes and emoji keep a valid header", async t => {
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const base = `http://localhost:${server.address().port}`;
+
+  // Written out by hand, as FormData would percent-encode the quotes
+  const boundary = "----chat";
+  const part = (name, text) => `--${boundary}\r\nContent-Disposition: form-data; name="chatFile"; filename="${name}"\r\n\r\n${text}\r\n`;
+  const body = part('Trip \\"2024\\" 🎉.txt', CHAT) + part("Ben.txt", CHAT.split("\n")[0]) + `--${boundary}--\r\n`;
+  const { id, chats } = await (await fetch(`${base}/upload`, {
+    method: "POST",
+    headers: { "Content-Type": `multipart/form-data; boundary=${boundary}` },
+    body,
+  })).json();
+  const [a, b] = chats.map(chat => encodeURIComponent(chat.name));
+
+  const urls = [
+    `/download/${id}`,
+    `/download/${id}?format=excel`,
+    `/download/${id}?format=json&split=chat`,
+    `/download/${id}/analytics`,
+    `/download/${id}/analytics?format=json`,
+    `/download/${id}/conversations`,
+    `/download/${id}/vocabulary`,
+    `/download/${id}/links`,
+    `/download/${id}/redaction-key?redact=true`,
+    `/download/${id}/diff?a=${a}&b=${b}`,
+  ];
+  for (const url of urls) {
+    const response = await fetch(base + url);
+    assert.equal(response.status, 200, url);
+    const disposition = response.headers.get("content-disposition");
+    assert.match(disposition, /^attachment; filename="Trip \\"2024\\" \?[^"]*"; filename\*=UTF-8''Trip%20%222024%22%20%F0%9F%8E%89/, url);
+    await response.arrayBuffer();
+  }
+});
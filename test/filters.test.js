@@ -0,0 +1,59 @@
+// A short regex time limit keeps the runaway-pattern test quick
+process.env.REGEX_TIMEOUT_MS = "300";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { compileFilters, compileRegex, filterRows } = require("../app");
+
+const rows = [
+  { sender: "Alice", message: "pizza tonight?", date: "2024-05-01", time: "23:10:00", messageType: "text", messageLength: 14, wordCount: 2, mediaCount: 0 },
+  { sender: "Bob", message: "pasta, no thanks", date: "2024-05-02", time: "08:00:00", messageType: "text", messageLength: 16, wordCount: 3, mediaCount: 0 },
+  { sender: "Carol", message: "<Media omitted>", date: "2024-05-03", time: "12:30:00", messageType: "media_omitted", messageLength: 15, wordCount: 2, mediaCount: 0 },
+  { sender: "", message: "Alice added Bob", date: "2024-05-03", time: "12:31:00", messageType: "system", messageLength: 15, wordCount: 3, mediaCount: 0 },
+];
+
+const senders = filters => filterRows(rows, filters).map(r => r.sender);
+
+test("sender, date and type filters combine", () => {
+  assert.deepEqual(senders({ sender: ["Alice", "Bob"], dateFrom: "2024-05-02" }), ["Bob"]);
+  assert.deepEqual(senders({ excludeSenders: "Alice", hideSystem: true }), ["Bob", "Carol"]);
+  assert.deepEqual(senders({ hasMedia: true }), ["Carol"]);
+});
+
+test("a time range can wrap past midnight", () => {
+  assert.deepEqual(senders({ timeFrom: "22:00", timeTo: "09:00" }), ["Alice", "Bob"]);
+});
+
+test("the query language handles AND, OR, NOT and phrases", () => {
+  assert.deepEqual(senders({ query: 'pizza OR (pasta NOT "no thanks")' }), ["Alice"]);
+  assert.deepEqual(senders({ query: "pasta AND thanks" }), ["Bob"]);
+});
+
+test("invalid filters are reported, not thrown", () => {
+  assert.match(compileFilters({ timeFrom: "late" }).error, /HH:MM/);
+  assert.match(compileFilters({ minLength: "many" }).error, /number/);
+  assert.ok(compileFilters({ regex: "(" }).error);
+});
+
+test("regex filters match message or sender, ignoring case", () => {
+  assert.deepEqual(senders({ regex: "^p.*\\?$" }), ["Alice"]);
+  assert.deepEqual(senders({ regex: "CAROL" }), ["Carol"]);
+});
+
+test("compileRegex refuses patterns that backtrack without end", () => {
+  for (const pattern of ["(a+)+$", "(a|aa)*b", "(\\w+\\s?)*x", "(x)\\1", "a".repeat(201)]) {
+    assert.throws(() => compileRegex(pattern), Error, pattern);
+  }
+  for (const pattern of ["call|ping", "(?:https?://)?\\w+", "[(a+)]+", "b(o|u)b", "\\d{3}(-\\d+)?"]) {
+    assert.doesNotThrow(() => compileRegex(pattern), pattern);
+  }
+});
+
+test("a runaway regex is stopped by the time limit", () => {
+  const long = [{ sender: "x", message: "a".repeat(60) }];
+  const started = Date.now();
+  assert.throws(() => filterRows(long, { regex: "a*a*a*a*a*a*a*a*!" }), /took longer than 300ms/);
+  assert.ok(Date.now() - started < 5000);
+  // The thread is usable again afterwards
+  assert.deepEqual(filterRows(long, { regex: "^a+$" }).length, 1);
+});
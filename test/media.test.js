@@ -0,0 +1,83 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const yazl = require("yazl");
+const yauzl = require("yauzl");
+const { app } = require("../app");
+
+const chat = (sender, file) => `01/05/2024, 09:00 - ${sender}: ${file} (file attached)\n01/05/2024, 09:01 - ${sender}: done`;
+
+function zipOf(entries) {
+  const zip = new yazl.ZipFile();
+  for (const [name, text] of Object.entries(entries)) zip.addBuffer(Buffer.from(text), name);
+  zip.end();
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    zip.outputStream.on("data", chunk => chunks.push(chunk)).on("end", () => resolve(Buffer.concat(chunks))).on("error", reject);
+  });
+}
+
+async function entriesOf(buffer) {
+  const zipfile = await yauzl.fromBufferPromise(buffer);
+  const entries = {};
+  for await (const entry of zipfile.eachEntry()) {
+    const chunks = [];
+    for await (const chunk of await zipfile.openReadStreamPromise(entry)) chunks.push(chunk);
+    entries[entry.fileName] = Buffer.concat(chunks).toString();
+  }
+  return entries;
+}
+
+test("attachments sharing a file name are all kept and linked to their own chat", async t => {
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const base = `http://localhost:${server.address().port}`;
+
+  const form = new FormData();
+  form.append("chatFile", new Blob([await zipOf({
+    "Ann/_chat.txt": chat("Ann", "IMG-1.jpg"),
+    "Ann/IMG-1.jpg": "Ann's photo",
+    "Ann/IMG-3.jpg": "Ann's other photo",
+    "Ben/_chat.txt": chat("Ben", "IMG-1.jpg"),
+    "Ben/IMG-1.jpg": "Ben's photo",
+    "Ben/IMG-3.jpg": "Ben's other photo",
+  })]), "one.zip");
+  form.append("chatFile", new Blob([await zipOf({
+    "_chat.txt": `${chat("Cat", "IMG-1.jpg")}\n01/05/2024, 09:02 - Cat: IMG-3.jpg (file attached)`,
+    "IMG-1.jpg": "Cat's photo",
+  })]), "two.zip");
+  const upload = await (await fetch(`${base}/upload`, { method: "POST", body: form })).json();
+  assert.equal(upload.mediaFiles, 5);
+  // IMG-3.jpg isn't next to Cat's chat and two files in the other archive have that name
+  assert.deepEqual(upload.mediaWarnings.map(w => [w.sender, w.file, w.ambiguous]), [["Cat", "IMG-3.jpg", true]]);
+
+  const response = await fetch(`${base}/download/${upload.id}?format=csv&bundle=media&quote=minimal&columns=sender,mediaPaths`);
+  const entries = await entriesOf(Buffer.from(await response.arrayBuffer()));
+  const csv = Object.entries(entries).find(([name]) => name.endsWith(".csv"))[1];
+  assert.deepEqual(csv.split("\n").filter(line => line.includes("media/")), [
+    "Ann,media/Ann/IMG-1.jpg",
+    "Ben,media/Ben/IMG-1.jpg",
+    "Cat,media/IMG-1.jpg",
+    "Cat,media/Ann/IMG-3.jpg",
+  ]);
+  assert.equal(entries["media/Ann/IMG-1.jpg"], "Ann's photo");
+  assert.equal(entries["media/Ben/IMG-1.jpg"], "Ben's photo");
+  assert.equal(entries["media/IMG-1.jpg"], "Cat's photo");
+  assert.equal(entries["media/Ann/IMG-3.jpg"], "Ann's other photo");
+});
+
+test("a second archive with the same layout gets its own folder under media/", async t => {
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const base = `http://localhost:${server.address().port}`;
+
+  const form = new FormData();
+  form.append("chatFile", new Blob([await zipOf({ "_chat.txt": chat("Ann", "IMG-1.jpg"), "IMG-1.jpg": "first" })]), "one.zip");
+  form.append("chatFile", new Blob([await zipOf({ "_chat.txt": chat("Ben", "IMG-1.jpg"), "IMG-1.jpg": "second" })]), "two.zip");
+  const upload = await (await fetch(`${base}/upload`, { method: "POST", body: form })).json();
+  assert.equal(upload.mediaWarnings, undefined);
+
+  const response = await fetch(`${base}/download/${upload.id}?format=csv&bundle=media&quote=minimal&columns=sender,mediaPaths`);
+  const entries = await entriesOf(Buffer.from(await response.arrayBuffer()));
+  assert.equal(entries["media/IMG-1.jpg"], "first");
+  assert.equal(entries["media/two/IMG-1.jpg"], "second");
+});
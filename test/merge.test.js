@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { mergeChatRows } = require("../app");
+
+const row = (time, sender, message) => ({ date: "2024-05-01", time, datetime: `2024-05-01T${time}.000Z`, sender, message });
+const texts = rows => rows.map(r => `${r.time} ${r.sender}: ${r.message}`);
+
+test("messages both exports have are kept once", () => {
+  const base = [row("09:00:00", "Alice", "hi"), row("09:01:00", "Bob", "hey")];
+  const incoming = [row("09:01:00", "Bob", "hey"), row("09:02:00", "Alice", "lunch?")];
+  const { rows, added, duplicates, replaced } = mergeChatRows(base, incoming);
+  assert.deepEqual(texts(rows), ["09:00:00 Alice: hi", "09:01:00 Bob: hey", "09:02:00 Alice: lunch?"]);
+  assert.deepEqual({ added, duplicates, replaced }, { added: 1, duplicates: 1, replaced: 0 });
+});
+
+test("a message repeated within an export is kept as often as it was sent", () => {
+  const base = [row("09:00:00", "Alice", "ok"), row("09:00:00", "Alice", "ok")];
+  const incoming = [row("09:00:00", "Alice", "ok"), row("09:00:00", "Alice", "ok"), row("09:00:00", "Alice", "ok")];
+  const { rows, added, duplicates } = mergeChatRows(base, incoming);
+  assert.equal(rows.length, 3);
+  assert.deepEqual({ added, duplicates }, { added: 1, duplicates: 2 });
+});
+
+test("whitespace differences don't make a message new", () => {
+  const { added, duplicates } = mergeChatRows([row("09:00:00", "Alice", "see  you\n soon")], [row("09:00:00", "Alice", "see you\nsoon ")]);
+  assert.deepEqual({ added, duplicates }, { added: 0, duplicates: 1 });
+});
+
+test("a cut-short last message is replaced by its full version", () => {
+  const base = [row("21:03:00", "Alice", "hi"), row("21:04:00", "Bob", "ok su")];
+  const incoming = [row("21:03:00", "Alice", "hi"), row("21:04:00", "Bob", "ok sure thing"), row("21:05:00", "Alice", "bye")];
+  const { rows, added, duplicates, replaced } = mergeChatRows(base, incoming);
+  assert.deepEqual(texts(rows), ["21:03:00 Alice: hi", "21:04:00 Bob: ok sure thing", "21:05:00 Alice: bye"]);
+  assert.deepEqual({ added, duplicates, replaced }, { added: 1, duplicates: 1, replaced: 1 });
+});
+
+test("a short message is kept when the other export has it too", () => {
+  const base = [row("21:04:00", "Bob", "ok")];
+  const incoming = [row("21:04:00", "Bob", "ok"), row("21:04:00", "Bob", "ok sure")];
+  const { rows, duplicates, replaced } = mergeChatRows(base, incoming);
+  assert.deepEqual(texts(rows), ["21:04:00 Bob: ok", "21:04:00 Bob: ok sure"]);
+  assert.deepEqual({ duplicates, replaced }, { duplicates: 1, replaced: 0 });
+});
+
+test("only the last message of the base export counts as cut short", () => {
+  const base = [row("21:04:00", "Bob", "ok"), row("21:05:00", "Alice", "bye")];
+  const { rows, replaced } = mergeChatRows(base, [row("21:04:00", "Bob", "ok sure")]);
+  assert.equal(rows.length, 3);
+  assert.equal(replaced, 0);
+});
+
+test("messages are matched by the sender name in the export, not an alias", () => {
+  const base = [{ ...row("09:00:00", "Robert", "hi"), originalSender: "Bob" }];
+  const { duplicates } = mergeChatRows(base, [row("09:00:00", "Bob", "hi")]);
+  assert.equal(duplicates, 1);
+});
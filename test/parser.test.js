@@ -0,0 +1,100 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { detectDateOrder, createChatParser } = require("../app");
+
+function parse(text, options = {}) {
+  const parser = createChatParser(options);
+  for (const line of text.split("\n")) parser.push(line);
+  return parser.end();
+}
+
+test("detectDateOrder reads the order from values above 12", () => {
+  assert.equal(detectDateOrder(["03/05/2024", "25/05/2024"]).order, "DMY");
+  assert.equal(detectDateOrder(["05/03/2024", "05/25/2024"]).order, "MDY");
+  assert.equal(detectDateOrder(["25/05/2024"]).confidence, "high");
+});
+
+test("detectDateOrder recognizes year-first dates", () => {
+  assert.equal(detectDateOrder(["2024/05/03", "2024/05/04"]).order, "YMD");
+});
+
+test("detectDateOrder falls back to how the dates run", () => {
+  // 01/02 -> 02/02 -> 03/02 moves a day at a time only when read as DMY
+  const result = detectDateOrder(["01/02/2024", "02/02/2024", "03/02/2024", "04/02/2024"]);
+  assert.equal(result.order, "DMY");
+  assert.equal(result.source, "detected");
+});
+
+test("detectDateOrder defaults to MDY with low confidence", () => {
+  assert.deepEqual(
+    [detectDateOrder([]).order, detectDateOrder([]).confidence],
+    ["MDY", "low"]
+  );
+  assert.equal(detectDateOrder(["01/01/2024"]).confidence, "low");
+});
+
+test("parsed rows use the detected date order", () => {
+  const { rows, dateFormat } = parse("03/05/2024, 09:00 - Alice: hi\n25/05/2024, 10:00 - Bob: hey");
+  assert.equal(dateFormat.order, "DMY");
+  assert.deepEqual(rows.map(r => r.date), ["2024-05-03", "2024-05-25"]);
+});
+
+test("a date order override wins over detection", () => {
+  const { rows, dateFormat } = parse("03/05/2024, 09:00 - Alice: hi", { dateOrder: "MDY" });
+  assert.equal(dateFormat.source, "override");
+  assert.equal(rows[0].date, "2024-03-05");
+});
+
+// One sample per LINE_FORMATS layout and the locales they cover
+const LOCALE_SAMPLES = [
+  {
+    name: "German, 24-hour and vorm.",
+    text: "19.10.26, 14:03 - Anna: Hallo\nzweite Zeile\n20.10.26, 9:03 vorm. - Ben: Morgen",
+    format: "dash-date-time",
+    rows: [["2026-10-19", "14:03:00", "Anna", "Hallo\nzweite Zeile"], ["2026-10-20", "09:03:00", "Ben", "Morgen"]],
+  },
+  {
+    name: "Spanish p. m. / a. m.",
+    text: "5/10/24, 2:03 p. m. - Ana: hola\n13/10/24, 12:10 a. m. - Luis: noche",
+    format: "dash-date-time",
+    rows: [["2024-10-05", "14:03:00", "Ana", "hola"], ["2024-10-13", "00:10:00", "Luis", "noche"]],
+  },
+  {
+    name: "Japanese 午前/午後 before the time",
+    text: "2024/05/12 午後3:04 - 太郎: こんにちは\n2024/05/12 午前11:04 - 花子: はい",
+    format: "dash-date-time",
+    rows: [["2024-05-12", "15:04:00", "太郎", "こんにちは"], ["2024-05-12", "11:04:00", "花子", "はい"]],
+  },
+  {
+    name: "iOS brackets with seconds",
+    text: "[19.10.26, 14:03:11] Anna: Hallo\n[19.10.26, 14:04:11] Ben: Hi",
+    format: "bracket-date-time",
+    rows: [["2026-10-19", "14:03:11", "Anna", "Hallo"], ["2026-10-19", "14:04:11", "Ben", "Hi"]],
+  },
+  {
+    name: "time before date",
+    text: "[2:03:11 PM, 2024-05-12] Al: hi\n[2:05:00 PM, 2024-05-13] Bo: yo",
+    format: "bracket-time-date",
+    rows: [["2024-05-12", "14:03:11", "Al", "hi"], ["2024-05-13", "14:05:00", "Bo", "yo"]],
+  },
+];
+
+for (const sample of LOCALE_SAMPLES) {
+  test(`line format: ${sample.name}`, () => {
+    const { rows, lineFormat } = parse(sample.text);
+    assert.equal(lineFormat.id, sample.format);
+    assert.deepEqual(rows.map(r => [r.date, r.time, r.sender, r.message]), sample.rows);
+  });
+}
+
+test("extra line formats can be passed in", () => {
+  const { rows, lineFormat } = parse("2024-05-12 | 14:03 | Al: hi", {
+    lineFormats: [{ id: "pipes", pattern: "^({date}) \\| ({time}) \\| (.*)$", fields: ["date", "time", "rest"] }],
+  });
+  assert.equal(lineFormat.id, "pipes");
+  assert.deepEqual([rows[0].date, rows[0].time, rows[0].sender], ["2024-05-12", "14:03:00", "Al"]);
+});
+
+test("text without message headers is not a chat", () => {
+  assert.deepEqual(parse("just some notes\nand more").rows, []);
+});
@@ -0,0 +1,142 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const ExcelJS = require("exceljs");
+const { app, readRedaction, createRedactor } = require("../app");
+
+const CHAT = [
+  "01/05/2024, 09:00 - Alice Smith: look https://example.com/x, mail bob@mail.com, call +44 20 7946 0958",
+  "01/05/2024, 09:01 - Bob: location: https://maps.google.com/?q=51.5007,-0.1246",
+  "01/05/2024, 09:02 - Bob: ok Alice, see you @⁨Alice Smith⁩",
+  "01/05/2024, 09:03 - Alice Smith: Bob.vcf (file attached)",
+  "01/05/2024, 09:04 - Alice Smith added Bob",
+].join("\n");
+
+// Anything here in a redacted response gives someone or something away
+const SECRETS = ["Alice", "Smith", "Bob", "example.com", "bob@mail.com", "7946", "maps.google", "51.5007"];
+
+function assertNoSecrets(text, where) {
+  for (const secret of SECRETS) {
+    assert.ok(!text.includes(secret), `${where} contains "${secret}"`);
+  }
+}
+
+test("readRedaction validates its options", () => {
+  assert.deepEqual(readRedaction(undefined), { options: null });
+  assert.equal(readRedaction("true").options.senders, "numbered");
+  assert.match(readRedaction('{"senders":"maybe"}').error, /Unknown sender redaction/);
+  assert.match(readRedaction("{nope").error, /valid JSON/);
+});
+
+test("createRedactor covers every row field", () => {
+  const item = {
+    createdAt: 1,
+    rows: [
+      { sender: "Alice Smith", chat: "Bob", message: "hi Bob, https://example.com bob@mail.com +44 20 7946 0958" },
+      { sender: "Bob", chat: "Bob", message: "ok" },
+    ],
+  };
+  const { redactRow, redactFilters, unredactFilters, key } = createRedactor(item, readRedaction('{"mediaNames":true}').options);
+  const row = redactRow({
+    sender: "Alice Smith",
+    originalSender: "+44 20 7946 0958",
+    chat: "Bob",
+    sourceFile: "WhatsApp Chat with Bob.txt",
+    message: "hi Bob, https://example.com bob@mail.com +44 20 7946 0958 IMG-1.jpg",
+    mentions: "Bob; +44 20 7946 0958",
+    urls: "https://example.com",
+    domains: "example.com",
+    emails: "bob@mail.com",
+    phones: "+44 20 7946 0958",
+    latitude: 51.5,
+    longitude: -0.12,
+    contactName: "Bob",
+    pollQuestion: "Bob or Alice?",
+    pollOptions: "Bob; Alice",
+    mediaFiles: "IMG-1.jpg",
+    mediaPaths: "media/IMG-1.jpg",
+  });
+
+  assert.deepEqual(row, {
+    sender: "Participant 1",
+    originalSender: "Participant 1",
+    chat: "Participant 2",
+    sourceFile: "WhatsApp Chat with Participant 2.txt",
+    message: "hi Participant 2, [link] [email] [phone] [file]",
+    mentions: "Participant 2; [phone]",
+    urls: "[link]",
+    domains: "[domain]",
+    emails: "[email]",
+    phones: "[phone]",
+    latitude: null,
+    longitude: null,
+    contactName: "[contact]",
+    pollQuestion: "Participant 2 or Participant 1?",
+    pollOptions: "Participant 2; Participant 1",
+    mediaFiles: "[file]",
+    mediaPaths: "[file]",
+  });
+
+  assert.deepEqual(key, [{ name: "Alice Smith", pseudonym: "Participant 1" }, { name: "Bob", pseudonym: "Participant 2" }]);
+  assert.deepEqual(redactFilters({ sender: ["Bob"], keyword: "alice", domain: "example.com", dateFrom: "2024-01-01" }),
+    { sender: ["Participant 2"], keyword: "Participant 1", domain: "[domain]", dateFrom: "2024-01-01" });
+  assert.deepEqual(unredactFilters({ sender: ["Participant 2"], chat: "Participant 2" }), { sender: ["Bob"], chat: ["Bob"] });
+});
+
+test("salted hashes are stable and depend on the salt", () => {
+  const item = { createdAt: 1, rows: [{ sender: "Bob", message: "" }] };
+  const pseudonym = salt => createRedactor(item, { senders: "hash", salt, names: true }).redactRow(item.rows[0]).sender;
+  assert.match(pseudonym("a"), /^Participant [0-9a-f]{8}$/);
+  assert.equal(pseudonym("a"), pseudonym("a"));
+  assert.notEqual(pseudonym("a"), pseudonym("b"));
+});
+
+test("no route or export gives redacted names away", async t => {
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const base = `http://localhost:${server.address().port}`;
+
+  const form = new FormData();
+  form.append("chatFile", new Blob([CHAT]), "WhatsApp Chat with Bob.txt");
+  form.append("chatFile", new Blob([CHAT.split("\n").slice(0, 3).join("\n")]), "WhatsApp Chat with Alice Smith.txt");
+  const { id } = await (await fetch(`${base}/upload`, { method: "POST", body: form })).json();
+  assert.ok(id);
+
+  const redact = `redact=${encodeURIComponent('{"mediaNames":true}')}`;
+  const [a, b] = ["Participant 2", "Participant 1"].map(encodeURIComponent);
+  const urls = [
+    `/api/data/${id}?${redact}`,
+    `/api/context/${id}/1?${redact}`,
+    `/api/diff/${id}?a=${a}&b=${b}&${redact}`,
+    `/download/${id}/diff?a=${a}&b=${b}&${redact}`,
+    `/api/analytics/${id}?${redact}`,
+    `/download/${id}/analytics?${redact}`,
+    `/api/conversations/${id}?${redact}`,
+    `/download/${id}/conversations?${redact}`,
+    `/api/vocabulary/${id}?${redact}`,
+    `/download/${id}/vocabulary?${redact}`,
+    `/download/${id}/links?${redact}`,
+    ...["csv", "json", "ndjson", "html", "transcript", "markdown", "text", "sql", "sqlite"]
+      .map(format => `/download/${id}?format=${format}&envelope=true&columns=chat,sender,originalSender,message,urls,domains,emails,phones,mentions,latitude,longitude,contactName&${redact}`),
+  ];
+
+  for (const url of urls) {
+    const response = await fetch(base + url);
+    assert.equal(response.status, 200, url);
+    const body = Buffer.from(await response.arrayBuffer()).toString("latin1");
+    assertNoSecrets(Buffer.from(body, "latin1").toString("utf8") + (response.headers.get("content-disposition") || ""), url);
+  }
+
+  const filtered = await fetch(`${base}/api/filter/${id}?${redact}`, { method: "POST" });
+  assertNoSecrets(await filtered.text(), "/api/filter");
+
+  // Workbooks are zipped, so they are read back cell by cell
+  const response = await fetch(`${base}/download/${id}?format=excel&${redact}`);
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(Buffer.from(await response.arrayBuffer()));
+  const cells = [];
+  workbook.eachSheet(sheet => {
+    cells.push(sheet.name);
+    sheet.eachRow(row => row.eachCell(cell => cells.push(String(cell.value))));
+  });
+  assertNoSecrets(cells.join("\n"), "excel");
+});
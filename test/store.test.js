@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createFileStore } = require("../app");
+
+function sessionOf(rows) {
+  return {
+    createdAt: 1,
+    updatedAt: 2,
+    chats: [{ name: "Ann", sourceFile: "one.zip/_chat.txt" }],
+    media: new Map([["one.zip/IMG-1.jpg", { key: "one.zip/IMG-1.jpg", name: "IMG-1.jpg", size: 3 }]]),
+    rows,
+  };
+}
+
+test("file sessions come back as they were stored, one row per line", async t => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "sessions-"));
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+  const rows = [
+    { sender: "Ann", message: "two\nlines\r\nand a   separator" },
+    { sender: "Ben", message: "émoji 🎉", latitude: 51.5 },
+  ];
+  await createFileStore(dir).set("abc", sessionOf(rows));
+
+  const lines = (await fs.promises.readFile(path.join(dir, "abc", "session.ndjson"), "utf8")).split("\n");
+  assert.equal(lines.length, 5);
+  assert.deepEqual(JSON.parse(lines[2]), rows[0]);
+
+  // A new store has nothing cached, so this reads the file
+  const item = await createFileStore(dir).get("abc");
+  assert.deepEqual(item.rows, rows);
+  assert.deepEqual(item.chats, sessionOf(rows).chats);
+  assert.deepEqual(item.media, sessionOf(rows).media);
+  assert.ok(item.updatedAt > 2);
+});
+
+test("sessions too large for one string are stored and read back", async t => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "sessions-"));
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+  // ~600MB of rows, past V8's ~512MB string limit, sharing one message string
+  const message = "x".repeat(1024 * 1024);
+  const rows = Array.from({ length: 600 }, (_, i) => ({ sender: "Ann", message, i }));
+  await createFileStore(dir).set("big", sessionOf(rows));
+
+  const item = await createFileStore(dir).get("big");
+  assert.equal(item.rows.length, 600);
+  assert.equal(item.rows[599].i, 599);
+});
+
+test("missing sessions and bad ids give null", async t => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "sessions-"));
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+  assert.equal(await createFileStore(dir).get("nope"), null);
+  assert.equal(await createFileStore(dir).get("../etc"), null);
+});
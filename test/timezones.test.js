@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { zonedTimeToEpoch, zonedParts, timezonesOf, enrichRow } = require("../app");
+
+const utc = (date, time, zone) => {
+  const epoch = zonedTimeToEpoch(date, time, zone);
+  return epoch === null ? null : new Date(epoch).toISOString();
+};
+
+test("wall-clock times are read with the offset in force on that day", () => {
+  assert.equal(utc("2024-03-31", "01:30:00", "Europe/Berlin"), "2024-03-31T00:30:00.000Z");
+  assert.equal(utc("2024-03-31", "03:30:00", "Europe/Berlin"), "2024-03-31T01:30:00.000Z");
+  assert.equal(utc("2024-03-10", "01:59:00", "America/New_York"), "2024-03-10T06:59:00.000Z");
+  assert.equal(utc("2024-03-10", "03:00:00", "America/New_York"), "2024-03-10T07:00:00.000Z");
+});
+
+test("a time skipped by the spring change moves forward an hour", () => {
+  assert.equal(utc("2024-03-31", "02:30:00", "Europe/Berlin"), "2024-03-31T01:30:00.000Z");
+});
+
+test("a time repeated by the autumn change is read once, consistently", () => {
+  assert.equal(utc("2024-10-27", "01:30:00", "Europe/Berlin"), "2024-10-26T23:30:00.000Z");
+  assert.equal(utc("2024-10-27", "02:30:00", "Europe/Berlin"), "2024-10-27T01:30:00.000Z");
+  assert.equal(utc("2024-10-27", "03:30:00", "Europe/Berlin"), "2024-10-27T02:30:00.000Z");
+});
+
+test("fixed offsets and invalid dates", () => {
+  assert.equal(utc("2024-05-01", "09:00:00", "+05:30"), "2024-05-01T03:30:00.000Z");
+  assert.equal(utc("2024-02-30", "09:00:00", "UTC"), null);
+});
+
+test("zonedParts gives the local time with its offset on both sides of a change", () => {
+  assert.equal(zonedParts(Date.parse("2024-07-01T12:00:00Z"), "Asia/Kolkata").iso, "2024-07-01T17:30:00+05:30");
+  assert.equal(zonedParts(Date.parse("2024-10-27T00:30:00Z"), "Europe/Berlin").iso, "2024-10-27T02:30:00+02:00");
+  assert.equal(zonedParts(Date.parse("2024-10-27T01:30:00Z"), "Europe/Berlin").iso, "2024-10-27T02:30:00+01:00");
+});
+
+test("rows are converted between zones whose DST dates differ", () => {
+  // On 20 March New York is already on summer time and Berlin isn't
+  const row = enrichRow({ date: "20/03/2024", time: "12:00", sender: "A", message: "hi" },
+    { dateOrder: "DMY", sourceTimezone: "Europe/Berlin", outputTimezone: "America/New_York" });
+  assert.deepEqual(
+    [row.date, row.time, row.timestampUtc, row.timestampLocal, row.epoch, row.hour, row.timezone],
+    ["2024-03-20", "07:00:00", "2024-03-20T11:00:00Z", "2024-03-20T07:00:00-04:00", 1710932400, "07:00", "America/New_York"]
+  );
+});
+
+test("conversion can move a message to another day", () => {
+  const row = enrichRow({ date: "31/12/2024", time: "23:30", sender: "A", message: "hi" },
+    { dateOrder: "DMY", sourceTimezone: "America/Los_Angeles", outputTimezone: "Asia/Tokyo" });
+  assert.deepEqual([row.date, row.time, row.dayOfWeek], ["2025-01-01", "16:30:00", "Wednesday"]);
+});
+
+test("timezonesOf defaults the output to the source zone and rejects unknown zones", () => {
+  assert.deepEqual(timezonesOf({ sourceTimezone: "Europe/Berlin" }), { sourceTimezone: "Europe/Berlin", outputTimezone: "Europe/Berlin" });
+  assert.deepEqual(timezonesOf({}), { sourceTimezone: "UTC", outputTimezone: "UTC" });
+  assert.match(timezonesOf({ sourceTimezone: "Mars/Olympus" }).error, /Unknown time zone/);
+});